@@ -0,0 +1,44 @@
+// === BOOKMARKLET GENERATOR ===
+// Builds the bookmarklet for a viewer address (by default the deployment serving this page).
+// The bookmarklet encodes the PDF URL and the text once, which is exactly what
+// getPdfUrls() and getSearchTerm() in custom-logic.js expect.
+
+const VIEWER_URL_INPUT = document.getElementById('viewer-url');
+const BOOKMARKLET_LINK = document.getElementById('bookmarklet-link');
+const BOOKMARKLET_CODE = document.getElementById('bookmarklet-code');
+
+/**
+ * The bookmarklet's source; `viewer` is substituted as a string literal
+ */
+function bookmarkletSource(viewer) {
+    return `(function () {
+        var viewer = ${JSON.stringify(viewer)};
+        var selection = window.getSelection ? String(window.getSelection()).trim() : '';
+        var text = selection || prompt('Text to find in this PDF:', '');
+        if (text === null) return;
+        window.open(viewer + (viewer.indexOf('?') === -1 ? '?' : '&') +
+            'pdfurl=' + encodeURIComponent(location.href) +
+            (text ? '&text=' + encodeURIComponent(text) : ''), '_blank');
+    })();`;
+}
+
+function buildBookmarklet(viewer) {
+    // One line, with indentation squeezed out
+    const code = bookmarkletSource(viewer).replace(/\s*\n\s*/g, ' ');
+    return 'javascript:' + encodeURIComponent(code);
+}
+
+function updateBookmarklet() {
+    const viewer = VIEWER_URL_INPUT.value.trim();
+    const href = buildBookmarklet(viewer);
+    BOOKMARKLET_LINK.href = href;
+    BOOKMARKLET_CODE.value = href;
+}
+
+(function main() {
+    VIEWER_URL_INPUT.value = new URL('index.html', window.location.href).href;
+    VIEWER_URL_INPUT.addEventListener('input', updateBookmarklet);
+    // Clicking it here would only search this page
+    BOOKMARKLET_LINK.addEventListener('click', (e) => e.preventDefault());
+    updateBookmarklet();
+})();
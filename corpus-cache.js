@@ -0,0 +1,130 @@
+// === CORPUS CACHE ===
+// IndexedDB storage for extracted line corpora (keyed by PDF fingerprint) and,
+// optionally, downloaded PDF files (keyed by URL). Used by the search worker and
+// the page, so nothing here may touch the DOM.
+//
+// Two object stores: `entries` holds small metadata records that are cheap to
+// list ({ id, kind, url, label, numPages, size, lastUsed }), `payloads` holds
+// the data itself ({ id, value }). Entries are evicted least recently used first.
+
+const CACHE_DB_NAME = 'pdf-fuzzy-search';
+const CACHE_DB_VERSION = 1;
+const CORPUS_FORMAT_VERSION = 2; // Bump when line reconstruction changes, to ignore stale corpora
+
+let cacheDbPromise = null;
+
+function openCacheDb() {
+    if (!cacheDbPromise) {
+        cacheDbPromise = new Promise((resolve, reject) => {
+            const request = indexedDB.open(CACHE_DB_NAME, CACHE_DB_VERSION);
+            request.onupgradeneeded = () => {
+                const db = request.result;
+                if (!db.objectStoreNames.contains('entries')) db.createObjectStore('entries', { keyPath: 'id' });
+                if (!db.objectStoreNames.contains('payloads')) db.createObjectStore('payloads', { keyPath: 'id' });
+            };
+            request.onsuccess = () => resolve(request.result);
+            request.onerror = () => reject(request.error);
+        });
+        // Let a later call try again (e.g. storage was blocked only temporarily)
+        cacheDbPromise.catch(() => { cacheDbPromise = null; });
+    }
+    return cacheDbPromise;
+}
+
+function idbRequest(request) {
+    return new Promise((resolve, reject) => {
+        request.onsuccess = () => resolve(request.result);
+        request.onerror = () => reject(request.error);
+    });
+}
+
+function idbTransactionDone(tx) {
+    return new Promise((resolve, reject) => {
+        tx.oncomplete = () => resolve();
+        tx.onerror = () => reject(tx.error);
+        tx.onabort = () => reject(tx.error || new Error('Cache transaction aborted'));
+    });
+}
+
+/**
+ * Corpora extracted with and without OCR are kept apart, so turning OCR on
+ * re-extracts a document whose scanned pages were cached without text
+ */
+function corpusCacheId(fingerprint, ocr) {
+    return `corpus:v${CORPUS_FORMAT_VERSION}:${ocr ? 'ocr' : 'text'}:${fingerprint}`;
+}
+
+function fileCacheId(url) {
+    return `file:${url}`;
+}
+
+/**
+ * Reads a cached value and marks its entry as just used. Resolves with undefined on a miss.
+ */
+async function cacheGet(id) {
+    const db = await openCacheDb();
+    const tx = db.transaction(['entries', 'payloads'], 'readwrite');
+    const entries = tx.objectStore('entries');
+    const [entry, payload] = await Promise.all([
+        idbRequest(entries.get(id)),
+        idbRequest(tx.objectStore('payloads').get(id))
+    ]);
+    if (entry && payload) entries.put({ ...entry, lastUsed: Date.now() });
+    await idbTransactionDone(tx);
+    return (entry && payload) ? payload.value : undefined;
+}
+
+/**
+ * Stores a value with its metadata, then evicts old entries beyond `limitBytes`
+ */
+async function cachePut(entry, value, limitBytes) {
+    const db = await openCacheDb();
+    const tx = db.transaction(['entries', 'payloads'], 'readwrite');
+    tx.objectStore('entries').put({ ...entry, lastUsed: Date.now() });
+    tx.objectStore('payloads').put({ id: entry.id, value });
+    await idbTransactionDone(tx);
+    await evictCache(limitBytes, entry.id);
+}
+
+async function cacheDelete(id) {
+    const db = await openCacheDb();
+    const tx = db.transaction(['entries', 'payloads'], 'readwrite');
+    tx.objectStore('entries').delete(id);
+    tx.objectStore('payloads').delete(id);
+    await idbTransactionDone(tx);
+}
+
+async function cacheClear() {
+    const db = await openCacheDb();
+    const tx = db.transaction(['entries', 'payloads'], 'readwrite');
+    tx.objectStore('entries').clear();
+    tx.objectStore('payloads').clear();
+    await idbTransactionDone(tx);
+}
+
+/**
+ * All cache entries (metadata only), most recently used first
+ */
+async function cacheList() {
+    const db = await openCacheDb();
+    const entries = await idbRequest(db.transaction('entries').objectStore('entries').getAll());
+    return entries.sort((a, b) => b.lastUsed - a.lastUsed);
+}
+
+/**
+ * Deletes least recently used entries until the total size fits in `limitBytes`.
+ * `keepId` (the entry just written) is only evicted if it alone exceeds the limit.
+ */
+async function evictCache(limitBytes, keepId) {
+    const entries = await cacheList();
+    let total = entries.reduce((sum, e) => sum + (e.size || 0), 0);
+    const victims = entries.filter(e => e.id !== keepId).reverse();
+    const kept = entries.find(e => e.id === keepId);
+    if (kept && kept.size > limitBytes) victims.push(kept);
+
+    for (const entry of victims) {
+        if (total <= limitBytes) break;
+        await cacheDelete(entry.id);
+        total -= entry.size || 0;
+    }
+}
@@ -1,33 +1,94 @@
 // === CONFIGURATION ===
 
 /**
- * Gets the PDF URL from the query string and wraps it in YOUR proxy
- * IMPORTANT: Don't encode the URL parameter - the proxy expects it raw
+ * How PDFs are fetched. The defaults below are overridden by settings saved in
+ * localStorage (the Settings panel in the header), which in turn are overridden
+ * by URL parameters:
+ *   fetch=auto|direct|proxy  auto = direct fetch, retried through the proxy if CORS blocks it
+ *   proxy=<template>         proxy URL; `{url}` is replaced by the PDF URL (appended if absent)
+ *   proxyencode=1|0          URL-encode the PDF URL before substituting it
  */
-// const YOUR_PROXY_URL = 'https://fuzzy-proxy-njp226ikh-riteshs-projects-58a4d698.vercel.app/api/proxy?url=';
-const YOUR_PROXY_URL = 'https://fuzzy-proxy-k3f89ouqm-riteshs-projects-58a4d698.vercel.app/api/proxy?url=';
+const DEFAULT_CONFIG = {
+    fetchMode: 'auto',
+    // The default proxy expects the URL raw, so it is not encoded
+    proxyTemplate: 'https://fuzzy-proxy-k3f89ouqm-riteshs-projects-58a4d698.vercel.app/api/proxy?url={url}',
+    proxyEncode: false,
+    cacheLimitMB: 200,     // Total IndexedDB budget for cached corpora and files
+    cachePdfFiles: false,  // Also keep downloaded PDFs, so reopening skips the download
+    ocr: true              // Recognize the text of pages that have none (scanned documents)
+};
+const FETCH_MODES = ['auto', 'direct', 'proxy'];
+const SETTINGS_STORAGE_KEY = 'pdf-fuzzy-search.settings';
+const CONFIG_URL_PARAMS = ['fetch', 'proxy', 'proxyencode'];
 
-function getPdfUrl() {
-    // Replace this with YOUR actual Vercel deployment URL
-    
+const CONFIG = loadConfig();
+
+/**
+ * Merges defaults, saved settings and URL parameters into the effective config
+ */
+function loadConfig() {
+    const config = { ...DEFAULT_CONFIG, ...loadSavedSettings() };
     const params = new URLSearchParams(window.location.search);
-    const originalUrl = params.get('pdfurl');
 
-    if (originalUrl && originalUrl.length > 0) {
-        // DON'T encode again! The query param is already encoded by the bookmarklet
-        const proxiedUrl = YOUR_PROXY_URL + originalUrl;
-        
-        console.log("Original PDF URL:", originalUrl);
-        console.log("Proxied URL:", proxiedUrl);
-        return proxiedUrl;
+    if (FETCH_MODES.includes(params.get('fetch'))) config.fetchMode = params.get('fetch');
+    if (params.has('proxy')) config.proxyTemplate = params.get('proxy');
+    if (params.has('proxyencode')) config.proxyEncode = params.get('proxyencode') === '1';
+    return config;
+}
+
+function loadSavedSettings() {
+    try {
+        return JSON.parse(localStorage.getItem(SETTINGS_STORAGE_KEY)) || {};
+    } catch (err) {
+        console.warn("Ignoring unreadable saved settings:", err);
+        return {};
     }
-    
-    console.warn("No 'pdfurl' parameter found in URL. Loading local 'sample.pdf'.");
-    return 'sample.pdf'; 
 }
 
-const PDF_URL = getPdfUrl(); 
-const FUZZY_SEARCH_THRESHOLD = 0.4;
+function saveSettings(settings) {
+    localStorage.setItem(SETTINGS_STORAGE_KEY, JSON.stringify({ ...loadSavedSettings(), ...settings }));
+}
+
+/**
+ * Wraps a PDF URL in the configured proxy template
+ */
+function buildProxyUrl(url) {
+    const template = CONFIG.proxyTemplate;
+    const value = CONFIG.proxyEncode ? encodeURIComponent(url) : url;
+    return template.includes('{url}') ? template.split('{url}').join(value) : template + value;
+}
+
+const SAMPLE_PDF_URL = 'sample.pdf';
+
+/**
+ * Gets the PDF URLs from the query string. Several `pdfurl` parameters make a collection.
+ * IMPORTANT: Don't decode or encode them again - the bookmarklet (bookmarklet.html) and
+ * the browser extension (extension/) already encoded them once
+ */
+function getPdfUrls() {
+    const params = new URLSearchParams(window.location.search);
+    const urls = params.getAll('pdfurl').filter(url => url.length > 0);
+    if (urls.length > 0) console.log("Original PDF URLs:", urls);
+    return urls;
+}
+
+/**
+ * Gets the URL of a manifest listing more PDFs to search (`manifest=`)
+ */
+function getManifestUrl() {
+    return new URLSearchParams(window.location.search).get('manifest') || null;
+}
+
+/**
+ * True for URLs on another origin, the only ones the proxy (or the file cache) is used for
+ */
+function isCrossOrigin(url) {
+    try {
+        return new URL(url, window.location.href).origin !== window.location.origin;
+    } catch (err) {
+        return false;
+    }
+}
 
 // Tell pdf.js where its worker file is
 pdfjsLib.GlobalWorkerOptions.workerSrc = 'lib/pdf.worker.js';
@@ -41,377 +102,2694 @@ const BTN_PREV = document.getElementById('prev-page');
 const BTN_NEXT = document.getElementById('next-page');
 const BTN_GO = document.getElementById('go-page');
 const RESULTS_PANEL = document.getElementById('results');
+const SEARCH_INPUT = document.getElementById('search-input');
+const SEARCH_MODE_SELECT = document.getElementById('search-mode');
+const MATCH_CASE_CHECKBOX = document.getElementById('match-case');
+const THRESHOLD_INPUT = document.getElementById('setting-threshold');
+const THRESHOLD_VALUE = document.getElementById('threshold-value');
+const DISTANCE_INPUT = document.getElementById('setting-distance');
+const MINLEN_INPUT = document.getElementById('setting-minlen');
+const IGNORE_LOCATION_CHECKBOX = document.getElementById('setting-ignore-location');
+const MATCH_COUNTER = document.getElementById('match-counter');
+const ZOOM_SELECT = document.getElementById('zoom-select');
+const BTN_ZOOM_IN = document.getElementById('zoom-in');
+const BTN_ZOOM_OUT = document.getElementById('zoom-out');
+const SIDEBAR = document.getElementById('sidebar');
+const BTN_TOGGLE_SIDEBAR = document.getElementById('toggle-sidebar');
+const OUTLINE_PANEL = document.getElementById('outline-panel');
+const THUMBNAIL_PANEL = document.getElementById('thumbnail-panel');
+const MATCH_HEATMAP = document.getElementById('match-heatmap');
+const ANNOTATION_PANEL = document.getElementById('annotation-panel');
+const ANNOTATION_TOOLBAR = document.getElementById('annotation-toolbar');
+const ANNOTATION_NOTE_INPUT = document.getElementById('annotation-note');
+const BTN_BOOKMARK = document.getElementById('bookmark-page');
+const BTN_PREV_MATCH = document.getElementById('prev-match');
+const BTN_NEXT_MATCH = document.getElementById('next-match');
+const SEARCH_DEBOUNCE_MS = 300;
+// Search option -> URL parameter
+const SEARCH_URL_PARAMS = {
+    mode: 'mode',
+    ignoreCase: 'ignoreCase',
+    threshold: 'threshold',
+    distance: 'distance',
+    minMatchCharLength: 'minlen',
+    ignoreLocation: 'ignoreLocation'
+};
+const MAX_LISTED_RESULTS = 50;
+const MAX_LISTED_PER_DOCUMENT = 10; // When results are grouped by document
+const EXPORT_CONTEXT_CHARS = 150;   // Text kept on each side of a match in exports
+const COLLECTION_STATUS = document.getElementById('collection-status');
+
+// Document collection: every `pdfurl` plus the manifest's entries, or a single local file.
+// Entries look like { id, url, label, source, numPages, indexed, indexing, file }.
+let gDocuments = [];
+let gActiveDoc = null;      // The document shown in the viewer
+let gCollectionSeq = 0;     // Bumped when a local file replaces the collection
+let gPendingTarget = null;  // Link target (see getUrlTarget) to show once document `docId` has opened
 
 // Render state
+let gDocSeq = 0;
+let pageObservers = [];
+const RENDER_MARGIN = '150% 0px';   // Render pages within ~1.5 screens of the viewport
+const RELEASE_MARGIN = '400% 0px';  // Free canvases of pages further than ~4 screens away
+const CANVAS_POOL_SIZE = 8;
+// Canvases render at devicePixelRatio for crisp text, within these limits
+const MAX_CANVAS_PIXELS = 16777216;              // Per canvas (4096 x 4096, the iOS Safari limit)
+const CANVAS_MEMORY_BUDGET = 256 * 1024 * 1024;  // Bytes for all page canvases together (RGBA)
+const canvasBytes = new Map();                   // pageNum -> backing store size of its canvas
 let gPdf = null;
 const renderedPages = new Set();
-let renderQueue = Promise.resolve();
+const nearPages = new Set();
+const farPages = new Set();
+const canvasPool = [];
+// Render scheduler (see ensurePageRendered): pages wait in renderRequests until a
+// render slot is free, then render in activeRenders, where they can be cancelled
+const MAX_ACTIVE_RENDERS = 2;
+const renderRequests = new Map();  // pageNum -> { lazy, waiters }
+const activeRenders = new Map();   // pageNum -> { scale, lazy, cancelled, tasks, done }
+const pageViewports = new Map();      // Viewports of rendered pages, at the scale they were rendered
+const pageBaseViewports = new Map();  // Unscaled (scale 1) viewports of every page
+
+// The page in view: the one taking up most of the screen. It drives the page number
+// input, Prev/Next and the page keys, and is kept in the URL hash (page=, see getUrlTarget).
+const VISIBILITY_THRESHOLDS = Array.from({ length: 11 }, (_, i) => i / 10);
+const VIEW_HASH_DELAY_MS = 250;   // Writing history entries too often gets throttled
+const SCROLL_SETTLE_MS = 1000;    // Fallback where the scrollend event is not supported
+const visiblePages = new Set();
+let gCurrentPage = 1;
+let gPageLock = null;             // Set while scrolling to a page picked by navigation
+let viewHashTimer = null;
+
+// Zoom: a fixed scale (CSS pixels per PDF unit) or a mode that fits the window
+const DEFAULT_ZOOM = 1.5;
+const ZOOM_LEVELS = [0.5, 0.75, 1, 1.25, 1.5, 2, 3, 4]; // Steps for zoom in / out
+const MIN_ZOOM = 0.25;
+const MAX_ZOOM = 5;
+const FIT_MODES = ['page-width', 'page-fit'];
+const PAGE_GAP = 16;   // .page-wrapper bottom margin
+const PAGE_CHROME = 2; // Canvas border, left + right
+let gZoomMode = String(DEFAULT_ZOOM); // A scale, or one of FIT_MODES
+let gScale = DEFAULT_ZOOM;            // The effective scale
+
+// Outline (table of contents) in the sidebar, flattened in document order:
+// { title, depth, page, top, end, countEl }. `top` is the PDF y of the destination
+// (null = top of the page); `end` is where the section stops (the next entry at the
+// same or a higher level), or null for the last one.
+let gOutline = [];
+
+// Page thumbnails in the sidebar. They render on their own queue, only while visible
+// in the sidebar, so they never hold up the pages themselves, and are released again
+// when scrolled away, so only the ones near the sidebar's viewport take memory.
+const THUMBNAIL_WIDTH = 120;             // CSS pixels
+const THUMBNAIL_MARGIN = '200px 0px';    // Render thumbnails this close to the sidebar's viewport
+const renderedThumbnails = new Set();
+const visibleThumbnails = new Set();
+let thumbnailQueue = Promise.resolve();
+
+// Annotations: highlights of selected text (with a colour and an optional note) and
+// page bookmarks. They are kept in localStorage per PDF fingerprint, so they come
+// back whenever the same file is opened, from any URL:
+//   { highlights: [{ id, text, color, note, rects: [{ page, rect: [x0, y0, x1, y1] }] }],
+//     bookmarks: [{ id, page, label }] }
+// Highlight rects are in PDF units, so they redraw at any zoom.
+const ANNOTATIONS_STORAGE_PREFIX = 'pdf-fuzzy-search.annotations.';
+const ANNOTATION_COLORS = {
+    yellow: 'rgba(255, 235, 59, 0.45)',
+    green: 'rgba(102, 221, 102, 0.4)',
+    blue: 'rgba(92, 172, 255, 0.4)',
+    pink: 'rgba(255, 128, 191, 0.4)'
+};
+let gAnnotations = { highlights: [], bookmarks: [] };
+let gAnnotationsKey = null;  // localStorage key of the open document's annotations
+let pendingSelection = null; // Text selected for a new highlight: { text, rects }
+
+// Search state
+let gCorpusReady = false;
+let gMatches = [];        // Every match above threshold, in document order
+let gActiveMatchIndex = -1;
+let gCurrentMatch = null;  // gMatches[gActiveMatchIndex]
+let gLastSearchTerm = null;
+let searchSeq = 0;
+let historySearch = null;  // Search re-run by back/forward; a link in the new hash waits for it
+
+// Text extraction and fuzzy search run in a dedicated worker (search-worker.js)
+const searchWorker = new Worker('search-worker.js');
+const pendingWorkerCalls = new Map();
+let workerCallId = 0;
+searchWorker.addEventListener('message', onSearchWorkerMessage);
+searchWorker.addEventListener('error', (e) => {
+    console.error('Search worker error:', e.message);
+    for (const { reject } of pendingWorkerCalls.values()) reject(new Error(e.message || 'Search worker failed'));
+    pendingWorkerCalls.clear();
+});
 
 /**
  * Main function
  */
 (async function main() {
+    // 1. Get search term and wire up the UI
+    const searchTerm = getSearchTerm();
+    wireSearchBox(searchTerm);
+    wireSettings();
+    wireNavigation();
+    wireZoom();
+    wireSidebar();
+    wireAnnotations();
+    watchPixelRatio();
+    wireFileOpen();
+    wireCachePanel();
+    if (!searchTerm) {
+        STATUS_DISPLAY.textContent = "Ready. (Type in the search box or add ?text=your+quote to the URL)";
+    } else {
+        STATUS_DISPLAY.textContent = `Searching for: "${searchTerm}"...`;
+    }
+
+    // A deep link (#page=, #zoom=, #match=, #range=, #doc=) says where to land
+    const target = getUrlTarget();
+    if (target.zoom) gZoomMode = target.zoom;
+
     try {
-        // 1. Get search term
-        const searchTerm = getSearchTerm();
-        if (!searchTerm) {
-            STATUS_DISPLAY.textContent = "Ready. (Add ?text=your+quote to the URL to search)";
-        } else {
-            STATUS_DISPLAY.textContent = `Searching for: "${searchTerm}"...`;
-        }
+        gDocuments = await loadDocumentList();
+    } catch (error) {
+        showLoadError(error, getManifestUrl());
+        return;
+    }
+    updateCollectionStatus();
+    const firstDoc = gDocuments.find(d => d.id === target.docId) || gDocuments[0];
+    gPendingTarget = { ...target, docId: firstDoc.id };
+    wireDeepLinks();
+    await openDocument(firstDoc);
+    indexCollection();
+})();
+
+/**
+ * The documents to search: every `pdfurl` followed by the manifest's entries,
+ * or the bundled sample when there are none
+ */
+async function loadDocumentList() {
+    const entries = getPdfUrls().map(url => ({ url, label: url }));
+    const manifestUrl = getManifestUrl();
+    if (manifestUrl) {
+        STATUS_DISPLAY.textContent = "Reading the document list...";
+        entries.push(...await fetchManifest(manifestUrl));
+    }
+    if (entries.length === 0) {
+        console.warn("No 'pdfurl' parameter found in URL. Loading local 'sample.pdf'.");
+        entries.push({ url: SAMPLE_PDF_URL, label: SAMPLE_PDF_URL });
+    }
+    const seen = new Set();
+    return entries
+        .filter(entry => !seen.has(entry.url) && seen.add(entry.url))
+        .map((entry, i) => ({ id: `doc-${i}`, url: entry.url, label: entry.label, source: null, indexed: false, indexing: null }));
+}
+
+/**
+ * Reads a manifest: JSON (an array of URLs or of { url, title } objects, bare or
+ * under `documents`) or plain text with one URL per line, `#` starting a comment.
+ * Relative URLs are resolved against the manifest's own URL.
+ */
+async function fetchManifest(manifestUrl) {
+    const base = new URL(manifestUrl, window.location.href).href;
+    const response = await withFetchMode(manifestUrl, (src) => fetch(src));
+    if (!response.ok) throw new Error(`Could not read the manifest (HTTP ${response.status})`);
+    const text = await response.text();
+
+    let entries;
+    try {
+        const json = JSON.parse(text);
+        entries = Array.isArray(json) ? json : (json.documents || []);
+    } catch (err) {
+        entries = text.split(/\r?\n/).map(line => line.trim()).filter(line => line && !line.startsWith('#'));
+    }
+    const list = entries
+        .map(entry => typeof entry === 'string' ? { url: entry } : (entry || {}))
+        .filter(entry => typeof entry.url === 'string' && entry.url.trim())
+        .map(entry => {
+            const url = new URL(entry.url.trim(), base).href;
+            return { url, label: entry.title || url };
+        });
+    console.log(`Manifest lists ${list.length} documents.`);
+    return list;
+}
+
+/**
+ * Shows a document of the collection and runs the whole pipeline on it: layout,
+ * text extraction, search and jumping to the best match (or to gPendingTarget).
+ * Opening another document while one is still loading abandons the older one.
+ */
+async function openDocument(doc) {
+    const docSeq = ++gDocSeq;
+    const isCurrent = () => docSeq === gDocSeq;
+    try {
+        resetViewer();
+        gActiveDoc = doc;
 
         // 2. Load PDF
-        console.log("Loading PDF from:", PDF_URL);
-        const pdf = await pdfjsLib.getDocument({
-            url: PDF_URL,
-            withCredentials: false
-        }).promise;
+        const pdf = await (doc.file ? loadLocalFile(doc) : loadPdfDocument(doc));
+        if (!isCurrent()) {
+            pdf.destroy();
+            return;
+        }
         
         gPdf = pdf;     
+        doc.numPages = pdf.numPages;
+        loadOutline(pdf);
+        loadAnnotations(pdf.fingerprints[0] || doc.url);
         if (PAGE_COUNT_DISPLAY) PAGE_COUNT_DISPLAY.textContent = pdf.numPages;
         if (PAGE_NUMBER_INPUT) PAGE_NUMBER_INPUT.max = String(pdf.numPages);
-        wireNavigation(pdf);
-       
-        STATUS_DISPLAY.textContent = "PDF loaded. Extracting text...";
 
-        // 3. Extract text
-        console.log("Extracting text from PDF...");
-        const searchableCorpus = await extractTextCorpus(pdf);
-        console.log(`Extracted ${searchableCorpus.length} lines of text.`);
-        STATUS_DISPLAY.textContent = `Extracted ${searchableCorpus.length} lines. Searching...`;
+        // 3. Get the text. A document indexed in the background is ready already, one
+        //    seen before comes from the cache; either way its results show up before
+        //    the pages are even laid out.
+        if (doc.indexing) await doc.indexing.catch(() => {});
+        if (!isCurrent()) return;
+        const cacheId = corpusCacheId(pdf.fingerprints[0] || doc.source, CONFIG.ocr);
+        let lineCount = doc.indexed ? null : await restoreCachedCorpus(doc.id, cacheId);
+        if (!isCurrent()) return;
+        const fromCache = doc.indexed || lineCount != null;
 
-        // 4. Fuzzy search
+        // 4. Fuzzy search (the search box may have been edited while loading)
+        const searchTerm = SEARCH_INPUT ? (SEARCH_INPUT.value.trim() || null) : getSearchTerm();
         let bestMatch = null;
-        let topMatches = [];
-        if (searchTerm) {
-            const fuse = new Fuse(searchableCorpus, {
-                keys: ['text'],
-                threshold: FUZZY_SEARCH_THRESHOLD,
-                includeScore: true,
-                ignoreLocation: true,
-                findAllMatches: true,
-                minMatchCharLength: Math.min(3, searchTerm.length),
-                distance: 1000,
-            });
-
-            let results = fuse.search(searchTerm);
+        if (fromCache) {
+            if (lineCount != null) console.log(`Restored ${lineCount} lines of text from the cache.`);
+            doc.indexed = true;
+            gCorpusReady = true;
+            bestMatch = await runSearch(searchTerm);
+            if (!isCurrent()) return;
+        }
 
-            // Fallback: substring search
-            if (results.length === 0) {
-                const q = searchTerm.toLowerCase();
-                const substrHits = searchableCorpus
-                    .filter(line => line.text.toLowerCase().includes(q))
-                    .map(line => ({ item: line, score: 0 }));
-                results = substrHits;
-            }
+        // Lay out sized placeholders; pages render as they approach the viewport
+        await layoutPages(pdf);
+        if (!isCurrent()) return;
 
-            if (results.length > 0) {
-                topMatches = results.slice(0, 5);
-                bestMatch = topMatches[0];
-                console.log(`Top matches:`, topMatches.map(r => ({ page: r.item.pageNum, score: r.score })));
-                STATUS_DISPLAY.textContent = `Found ${results.length} matches. Showing top ${topMatches.length}.`;
-                renderResults(topMatches);
-            } else {
-                console.warn("No fuzzy match found.");
-                STATUS_DISPLAY.textContent = `No good match found for "${searchTerm}".`;
-            }
+        if (!fromCache) {
+            STATUS_DISPLAY.textContent = "PDF loaded. Extracting text...";
+            console.log("Extracting text from PDF...");
+            lineCount = await extractTextCorpus(pdf, doc.id, corpusCacheEntry(doc, cacheId), isCurrent);
+            if (!isCurrent()) return;
+            doc.indexed = true;
+            gCorpusReady = true;
+            console.log(`Extracted ${lineCount} lines of text.`);
+            STATUS_DISPLAY.textContent = `Extracted ${lineCount} lines. Searching...`;
+            bestMatch = await runSearch(searchTerm);
+            if (!isCurrent()) return;
         }
 
-        // 5. Render pages
-        console.log("Rendering PDF pages...");
-        if (bestMatch) {
+        // 5. Show the target of a link (or of a result picked in another document),
+        //    or else the best match (other pages render lazily on scroll)
+        const target = gPendingTarget && gPendingTarget.docId === doc.id ? gPendingTarget : null;
+        gPendingTarget = null;
+        const targetIndex = target ? await findTargetMatch(target) : -1;
+        if (!isCurrent()) return;
+        if (targetIndex >= 0) {
+            gActiveMatchIndex = targetIndex;
+            gCurrentMatch = bestMatch = gMatches[targetIndex];
+            updateMatchCounter();
+            refreshHighlights();
+        }
+        if (target && target.page && targetIndex < 0) {
+            // A page link wins over the best match, which stays active for stepping
+            await scrollToPage(Math.min(target.page, pdf.numPages));
+            STATUS_DISPLAY.textContent = `Showing page ${Math.min(target.page, pdf.numPages)}.` +
+                (gMatches.length > 0 ? ` Found ${gMatches.length} matches.` : '');
+        } else if (bestMatch) {
             const matchPage = bestMatch.item.pageNum;
-            await renderPage(pdf, matchPage, bestMatch);
-
-            const targetPageId = `page-${matchPage}`;
-            const targetElement = document.getElementById(targetPageId);
-            if (targetElement) {
-                console.log(`Scrolling to page ${matchPage}`);
-                STATUS_DISPLAY.textContent = `Found on page ${matchPage}. Score: ${bestMatch.score.toFixed(3)}`;
-                targetElement.scrollIntoView({ behavior: 'smooth', block: 'start' });
-            }
-
-            setTimeout(async () => {
-                for (let i = 1; i <= pdf.numPages; i++) {
-                    if (i === matchPage) continue;
-                    await renderPage(pdf, i, bestMatch);
-                }
-            }, 0);
+            const score = bestMatch.score != null ? ` Score: ${bestMatch.score.toFixed(3)}` : '';
+            console.log(`Scrolling to page ${matchPage}`);
+            await revealActiveMatch();
+            STATUS_DISPLAY.textContent = `Found ${gMatches.length} matches. ${targetIndex >= 0 ? 'Showing the linked one' : 'Best'} on page ${matchPage}.${score}`;
+        } else if (searchTerm) {
+            STATUS_DISPLAY.textContent = `No good match found for "${searchTerm}". Displaying PDF.`;
         } else {
-            for (let i = 1; i <= pdf.numPages; i++) {
-                await renderPage(pdf, i, null);
-            }
-            if (searchTerm) {
-                STATUS_DISPLAY.textContent = `No good match found for "${searchTerm}". Displaying PDF.`;
-            } else {
-                STATUS_DISPLAY.textContent = "PDF loaded. (No search term provided)";
-            }
+            STATUS_DISPLAY.textContent = "PDF loaded. (No search term provided)";
         }
 
     } catch (error) {
+        if (!isCurrent()) return;
         console.error("Failed to load or process PDF:", error);
-        
-        let errorMsg = error.message || 'Unknown error';
-        let errorDetails = '';
-        
-        // Check if it's a network/CORS error
-        if (error.name === 'UnknownErrorException' || 
-            errorMsg.toLowerCase().includes('cors') ||
-            errorMsg.toLowerCase().includes('network')) {
-            
-            errorDetails = `
-                <h3>Debugging steps:</h3>
-                <ol>
-                    <li>Open browser console (F12) and check for errors</li>
-                    <li>Verify your proxy is deployed and working</li>
-                    <li>Test your proxy directly: <a href="${YOUR_PROXY_URL}https://alex.smola.org/drafts/thebook.pdf" target="_blank">Test Proxy</a></li>
-                    <li>Check if the original PDF URL is accessible</li>
-                </ol>
-            `;
-        }
-        
-        STATUS_DISPLAY.textContent = `Error: ${errorMsg}`;
-        PDF_CONTAINER.innerHTML = `
-            <div style="background:white; padding:20px; border-radius:8px; max-width:700px; margin:20px;">
-                <h2 style="color:red;">❌ Could not load PDF</h2>
-                <p><strong>Error:</strong> ${errorMsg}</p>
-                <p><strong>PDF URL:</strong> <code style="word-break:break-all;">${PDF_URL}</code></p>
-                ${errorDetails}
-            </div>
-        `;
+        showLoadError(error, doc.source || doc.url);
     }
-})();
+}
 
 /**
- * Gets the search query from URL
+ * Replaces the viewer with an explanation of why `source` could not be loaded
  */
-function getSearchTerm() {
-    const params = new URLSearchParams(window.location.search);
-    let q = params.get('text');
-    if (q && q.length) {
-        return decodeURIComponent(q.replace(/\+/g, ' ')).trim();
+function showLoadError(error, source) {
+    const errorMsg = error.message || 'Unknown error';
+    let errorDetails = '';
+    
+    // Check if it's a network/CORS error
+    if (isNetworkError(error)) {
+        const testProxyUrl = CONFIG.proxyTemplate ? buildProxyUrl('https://alex.smola.org/drafts/thebook.pdf') : null;
+        errorDetails = `
+            <h3>Debugging steps:</h3>
+            <ol>
+                <li>Open browser console (F12) and check for errors</li>
+                <li>Check the fetch mode and proxy in Settings (currently: ${escapeHtml(CONFIG.fetchMode)})</li>
+                ${testProxyUrl ? `<li>Test your proxy directly: <a href="${escapeHtml(testProxyUrl)}" target="_blank">Test Proxy</a></li>` : ''}
+                <li>Check if the original PDF URL is accessible</li>
+            </ol>
+        `;
     }
-    return null;
+    
+    STATUS_DISPLAY.textContent = `Error: ${errorMsg}`;
+    PDF_CONTAINER.innerHTML = `
+        <div style="background:white; padding:20px; border-radius:8px; max-width:700px; margin:20px auto;">
+            <h2 style="color:red;">❌ Could not load PDF</h2>
+            <p><strong>Error:</strong> ${escapeHtml(errorMsg)}</p>
+            <p><strong>PDF source:</strong> <code style="word-break:break-all;">${escapeHtml(source || '')}</code></p>
+            ${errorDetails}
+        </div>
+    `;
 }
 
 /**
- * Extract text from all pages
+ * Forgets everything about the current document before another one is opened
  */
-async function extractTextCorpus(pdf) {
-    const corpus = [];
-    
-    for (let i = 1; i <= pdf.numPages; i++) {
-        const page = await pdf.getPage(i);
-        const textContent = await page.getTextContent({ normalizeWhitespace: true });
-        
-        let lines = [];
-        let currentLine = null;
-        
-        for (const item of textContent.items) {
-            const tx = item.transform;
-            const x = tx[4];
-            const y = tx[5];
-            const w = item.width || 0;
-            const h = (item.height != null) ? item.height : Math.max(Math.abs(tx[3]), 10);
-
-            if (currentLine === null) {
-                currentLine = { text: item.str, x, y, width: w, height: h, pageNum: i };
-            } else if (Math.abs(currentLine.y - y) <= 3) {
-                const rightEdge = Math.max(currentLine.x + currentLine.width, x + w);
-                currentLine.width = rightEdge - currentLine.x;
-                currentLine.text += ' ' + item.str;
-                currentLine.height = Math.max(currentLine.height, h);
-            } else {
-                lines.push(currentLine);
-                currentLine = { text: item.str, x, y, width: w, height: h, pageNum: i };
-            }
-        }
-        if (currentLine) lines.push(currentLine);
-        
-        for (const line of lines) {
-            const normalizedText = line.text.replace(/\s+/g, ' ').trim();
-            if (normalizedText.length > 0) {
-                corpus.push({
-                    ...line,
-                    text: normalizedText
-                });
-            }
-        }
-    }
-    return corpus;
+function resetViewer() {
+    pageObservers.forEach(o => o.disconnect());
+    pageObservers = [];
+    cancelAllRenders();
+    if (gPdf) gPdf.destroy();
+    gPdf = null;
+    gCorpusReady = false;
+    gMatches = [];
+    gActiveMatchIndex = -1;
+    gCurrentMatch = null;
+    gLastSearchTerm = null;
+    updateMatchCounter();
+    searchSeq++;
+    [renderedPages, nearPages, farPages, visiblePages, pageViewports, pageBaseViewports, canvasBytes].forEach(c => c.clear());
+    gCurrentPage = 1;
+    gPageLock = null;
+    if (PAGE_NUMBER_INPUT) PAGE_NUMBER_INPUT.value = '1';
+    PDF_CONTAINER.innerHTML = '';
+    renderResults([]);
+    gOutline = [];
+    if (OUTLINE_PANEL) OUTLINE_PANEL.innerHTML = '';
+    [...renderedThumbnails].forEach(releaseThumbnail);
+    visibleThumbnails.clear();
+    if (THUMBNAIL_PANEL) THUMBNAIL_PANEL.innerHTML = '';
+    updateHeatmap();
+    gAnnotations = { highlights: [], bookmarks: [] };
+    gAnnotationsKey = null;
+    hideAnnotationToolbar();
+    renderAnnotationList();
 }
 
-
 /**
-* Renders a single PDF page with both a <canvas> and a <textLayer>
-*/
-async function renderPage(pdf, pageNum, bestMatch) {
-    const page = await pdf.getPage(pageNum);
-    const scale = 1.5;
-    const viewport = page.getViewport({ scale });
+ * Wires the "Open PDF" button and drag-and-drop onto #pdf-container.
+ * Files are read locally into memory and never leave the browser.
+ */
+function wireFileOpen() {
+    const openBtn = document.getElementById('open-file');
+    const fileInput = document.getElementById('file-input');
+    if (openBtn && fileInput) {
+        openBtn.addEventListener('click', () => fileInput.click());
+        fileInput.addEventListener('change', () => {
+            if (fileInput.files.length > 0) openLocalFile(fileInput.files[0]);
+            fileInput.value = '';
+        });
+    }
 
-    // Create a wrapper to hold the canvas, text, and highlights
-    const pageWrapper = document.createElement('div');
-    pageWrapper.id = `page-${pageNum}`;
-    pageWrapper.className = 'page-wrapper';
-    pageWrapper.style.width = `${viewport.width}px`;
-    pageWrapper.style.height = `${viewport.height}px`;
+    PDF_CONTAINER.addEventListener('dragover', (e) => {
+        if (!e.dataTransfer || !Array.from(e.dataTransfer.types).includes('Files')) return;
+        e.preventDefault();
+        e.dataTransfer.dropEffect = 'copy';
+        PDF_CONTAINER.classList.add('drag-over');
+    });
+    PDF_CONTAINER.addEventListener('dragleave', (e) => {
+        if (!PDF_CONTAINER.contains(e.relatedTarget)) PDF_CONTAINER.classList.remove('drag-over');
+    });
+    PDF_CONTAINER.addEventListener('drop', (e) => {
+        e.preventDefault();
+        PDF_CONTAINER.classList.remove('drag-over');
+        const files = Array.from(e.dataTransfer.files);
+        const file = files.find(f => f.type === 'application/pdf' || /\.pdf$/i.test(f.name));
+        if (file) {
+            openLocalFile(file);
+        } else if (files.length > 0) {
+            STATUS_DISPLAY.textContent = `"${files[0].name}" is not a PDF file.`;
+        }
+    });
+}
 
-    // Create canvas (the "picture" layer)
-    const canvas = document.createElement('canvas');
-    const context = canvas.getContext('2d');
-    canvas.height = viewport.height;
-    canvas.width = viewport.width;
+/**
+ * Opens a PDF from the user's disk through the normal pipeline
+ */
+function openLocalFile(file) {
+    console.log("Opening local file:", file.name);
+    STATUS_DISPLAY.textContent = `Opening ${file.name}...`;
 
-    // Create the invisible text layer
-    const textLayerDiv = document.createElement('div');
-    textLayerDiv.className = 'textLayer';
+    // The page URL no longer describes what is shown
+    const url = new URL(window.location.href);
+    if (url.searchParams.has('pdfurl') || url.searchParams.has('manifest')) {
+        url.searchParams.delete('pdfurl');
+        url.searchParams.delete('manifest');
+        history.replaceState(null, '', url);
+    }
 
-    // Append layers to the wrapper
-    pageWrapper.appendChild(canvas);
-    pageWrapper.appendChild(textLayerDiv);
+    // The file replaces the whole collection
+    gCollectionSeq++;
+    searchWorker.postMessage({ type: 'drop' });
+    gDocuments = [{ id: `file-${gCollectionSeq}`, url: file.name, label: file.name, source: file.name, indexed: false, indexing: null, file }];
+    updateCollectionStatus();
+    return openDocument(gDocuments[0]);
+}
 
-    // Add the fully-built page to the document *before* rendering
-    // This makes the page appear more quickly
-    PDF_CONTAINER.appendChild(pageWrapper);
+async function loadLocalFile(doc) {
+    const data = new Uint8Array(await doc.file.arrayBuffer());
+    return pdfjsLib.getDocument({ data }).promise;
+}
 
-    // Get text content for this page
-    const textContent = await page.getTextContent({ normalizeWhitespace: true });
+/**
+ * Opens a collection document's PDF from the file cache or the network.
+ * `doc.source` records where it was actually loaded from.
+ */
+async function loadPdfDocument(doc) {
+    const cached = await loadCachedPdfFile(doc.url);
+    if (cached) {
+        console.log("Loading PDF from the file cache:", doc.url);
+        doc.source = doc.url;
+        return pdfjsLib.getDocument({ data: cached }).promise;
+    }
 
-    // Run render tasks in parallel for speed
-    await Promise.all([
-        page.render({
-            canvasContext: context,
-            viewport: viewport
-        }).promise,
-        pdfjsLib.renderTextLayer({
-            textContent,
-            container: textLayerDiv,
-            viewport,
-            textDivs: [],
-            enhanceTextSelection: true
-        }).promise
-    ]);
+    const pdf = await withFetchMode(doc.url, (src) => {
+        console.log("Loading PDF from:", src);
+        doc.source = src;
+        return pdfjsLib.getDocument({ url: src, withCredentials: false }).promise;
+    });
+    storePdfFile(doc.url, pdf);
+    return pdf;
+}
 
-    // Mark as rendered for navigation
-    renderedPages.add(pageNum);
+/**
+ * Runs `open(src)` according to the configured fetch mode. In `auto` mode a direct
+ * fetch is tried first and the proxy is only used if that fails at the network
+ * level (which is how browsers report CORS refusals).
+ */
+async function withFetchMode(url, open) {
+    const canProxy = isCrossOrigin(url) && !!CONFIG.proxyTemplate;
 
-    // --- Highlighting Logic (now runs *after* layers are built) ---
-    // Check if the best match is on THIS page
-    if (bestMatch && bestMatch.item.pageNum === pageNum) {
-        highlightMatch(pageWrapper, viewport, bestMatch.item);
+    if (!canProxy || CONFIG.fetchMode === 'direct') return open(url);
+    if (CONFIG.fetchMode === 'proxy') return open(buildProxyUrl(url));
+
+    try {
+        return await open(url);
+    } catch (error) {
+        if (!isNetworkError(error)) throw error;
+        console.warn("Direct fetch failed (likely CORS), retrying through proxy:", error.message);
+        STATUS_DISPLAY.textContent = "Direct download was blocked. Retrying through proxy...";
+        return open(buildProxyUrl(url));
     }
 }
 
-// --- Navigation helpers ---
-async function ensurePageRendered(pageNum, bestMatch) {
-    const id = `page-${pageNum}`;
-    if (document.getElementById(id)) return; // already in DOM
-    renderQueue = renderQueue.then(() => renderPage(gPdf, pageNum, bestMatch)).catch(err => console.error('Render failed:', err));
-    await renderQueue;
+/**
+ * The cached bytes of a remote PDF, when file caching is enabled in Settings
+ */
+async function loadCachedPdfFile(url) {
+    if (!CONFIG.cachePdfFiles || !isCrossOrigin(url)) return null;
+    try {
+        const data = await cacheGet(fileCacheId(url));
+        return data ? new Uint8Array(data) : null;
+    } catch (error) {
+        console.warn("PDF file cache unavailable:", error);
+        return null;
+    }
 }
 
-async function scrollToPage(pageNum) {
-    if (!gPdf) return;
-    await ensurePageRendered(pageNum, null);
-    const id = `page-${pageNum}`;
-    const el = document.getElementById(id);
-    if (el) {
-        el.scrollIntoView({ behavior: 'smooth', block: 'start' });
+/**
+ * Keeps a copy of a downloaded PDF in the cache (in the background)
+ */
+async function storePdfFile(url, pdf) {
+    if (!CONFIG.cachePdfFiles || !isCrossOrigin(url)) return;
+    try {
+        const data = await pdf.getData();
+        await cachePut(
+            { id: fileCacheId(url), kind: 'file', url, label: url, numPages: pdf.numPages, size: data.byteLength },
+            data,
+            CONFIG.cacheLimitMB * 1024 * 1024
+        );
+    } catch (error) {
+        console.warn("Could not cache PDF file:", error);
     }
 }
 
-function wireNavigation(pdf) {
-    if (!PAGE_NUMBER_INPUT) return;
-    const clamp = (n) => Math.min(Math.max(n, 1), pdf.numPages);
-    const getVal = () => clamp(parseInt(PAGE_NUMBER_INPUT.value || '1', 10));
-    const setVal = (n) => { PAGE_NUMBER_INPUT.value = String(clamp(n)); };
-    if (BTN_PREV) BTN_PREV.addEventListener('click', () => { const n = getVal(); setVal(n - 1); scrollToPage(n - 1); });
-    if (BTN_NEXT) BTN_NEXT.addEventListener('click', () => { const n = getVal(); setVal(n + 1); scrollToPage(n + 1); });
-    if (BTN_GO) BTN_GO.addEventListener('click', () => { const n = getVal(); scrollToPage(n); });
-    PAGE_NUMBER_INPUT.addEventListener('keydown', (e) => {
-        if (e.key === 'Enter') {
-            const n = getVal();
-            scrollToPage(n);
-        }
+/**
+ * True for failures that look like network/CORS problems rather than a bad PDF
+ */
+function isNetworkError(error) {
+    const msg = (error.message || '').toLowerCase();
+    return error.name === 'UnknownErrorException' ||
+        (error.name === 'UnexpectedResponseException' && error.status === 0) ||
+        msg.includes('cors') ||
+        msg.includes('network') ||
+        msg.includes('fetch');
+}
+
+/**
+ * Fills the Settings panel from the effective config and saves changes to localStorage.
+ * Saving reloads the page without URL overrides so the saved values take effect.
+ */
+function wireSettings() {
+    const fetchMode = document.getElementById('setting-fetch-mode');
+    const proxyTemplate = document.getElementById('setting-proxy-template');
+    const proxyEncode = document.getElementById('setting-proxy-encode');
+    const ocr = document.getElementById('setting-ocr');
+    const saveBtn = document.getElementById('save-settings');
+    if (!fetchMode || !saveBtn) return;
+
+    fetchMode.value = CONFIG.fetchMode;
+    proxyTemplate.value = CONFIG.proxyTemplate;
+    proxyEncode.checked = CONFIG.proxyEncode;
+    if (ocr) ocr.checked = CONFIG.ocr;
+
+    saveBtn.addEventListener('click', () => {
+        saveSettings({
+            fetchMode: fetchMode.value,
+            proxyTemplate: proxyTemplate.value.trim(),
+            proxyEncode: proxyEncode.checked,
+            ocr: ocr ? ocr.checked : CONFIG.ocr
+        });
+        const url = new URL(window.location.href);
+        CONFIG_URL_PARAMS.forEach(p => url.searchParams.delete(p));
+        window.location.href = url.href;
     });
 }
 
 /**
- * Render the top matches list and wire click handlers.
+ * Wires the Cache panel: size limit and file caching settings (applied at once),
+ * and a list of cached documents that can be deleted one by one or all together.
+ * The list is (re)built whenever the panel is opened.
  */
-function renderResults(matches) {
-    if (!RESULTS_PANEL) return;
-    if (!matches || matches.length === 0) {
-        RESULTS_PANEL.innerHTML = '';
+function wireCachePanel() {
+    const panel = document.getElementById('cache-panel');
+    const limitInput = document.getElementById('cache-limit');
+    const filesCheckbox = document.getElementById('cache-files');
+    const clearBtn = document.getElementById('cache-clear');
+    if (!panel) return;
+
+    limitInput.value = String(CONFIG.cacheLimitMB);
+    filesCheckbox.checked = CONFIG.cachePdfFiles;
+
+    panel.addEventListener('toggle', () => {
+        if (panel.open) renderCacheList();
+    });
+    limitInput.addEventListener('change', async () => {
+        const limit = parseInt(limitInput.value, 10);
+        if (!Number.isFinite(limit) || limit < 1) {
+            limitInput.value = String(CONFIG.cacheLimitMB);
+            return;
+        }
+        CONFIG.cacheLimitMB = limit;
+        saveSettings({ cacheLimitMB: limit });
+        await evictCache(limit * 1024 * 1024).catch(err => console.warn("Cache eviction failed:", err));
+        renderCacheList();
+    });
+    filesCheckbox.addEventListener('change', () => {
+        CONFIG.cachePdfFiles = filesCheckbox.checked;
+        saveSettings({ cachePdfFiles: filesCheckbox.checked });
+    });
+    clearBtn.addEventListener('click', async () => {
+        await cacheClear().catch(err => console.warn("Could not clear cache:", err));
+        renderCacheList();
+    });
+}
+
+async function renderCacheList() {
+    const list = document.getElementById('cache-list');
+    if (!list) return;
+    let entries;
+    try {
+        entries = await cacheList();
+    } catch (error) {
+        list.textContent = `Cache unavailable: ${error.message || error}`;
+        return;
+    }
+
+    const mb = (bytes) => (bytes / (1024 * 1024)).toFixed(1);
+    const total = entries.reduce((sum, entry) => sum + (entry.size || 0), 0);
+    if (entries.length === 0) {
+        list.innerHTML = '<p>Nothing cached yet.</p>';
         return;
     }
-    const html = [
-        '<div><strong>Top Matches:</strong></div>',
-        '<ul style="margin:6px 0; padding-left: 18px;">',
-        ...matches.map((m, idx) => {
-            const scoreStr = (m.score != null) ? m.score.toFixed(3) : '0.000';
-            const textPreview = m.item.text.length > 160 ? m.item.text.slice(0, 157) + '…' : m.item.text;
-            return `<li>
-                <button class="result-link" data-page="${m.item.pageNum}" data-x="${m.item.x}" data-y="${m.item.y}" data-w="${m.item.width}" data-h="${m.item.height}" style="all:unset; color:#0060df; cursor:pointer;">
-                    ${idx + 1}. Page ${m.item.pageNum} (score ${scoreStr}) — ${escapeHtml(textPreview)}
-                </button>
-            </li>`;
-        }),
-        '</ul>'
+    list.innerHTML = [
+        `<p>${entries.length} entries, ${mb(total)} MB of ${CONFIG.cacheLimitMB} MB</p>`,
+        '<table class="cache-table">',
+        '<tr><th>Document</th><th>Type</th><th>Pages</th><th>MB</th><th>Last used</th><th></th></tr>',
+        ...entries.map(entry => `<tr>
+            <td class="cache-label" title="${escapeHtml(entry.url || '')}">${escapeHtml(entry.label || entry.url || entry.id)}</td>
+            <td>${entry.kind === 'file' ? 'PDF file' : 'Text'}</td>
+            <td>${entry.numPages || ''}</td>
+            <td>${mb(entry.size || 0)}</td>
+            <td>${new Date(entry.lastUsed).toLocaleString()}</td>
+            <td><button class="cache-delete" data-id="${escapeHtml(entry.id)}">Delete</button></td>
+        </tr>`),
+        '</table>'
     ].join('');
-    RESULTS_PANEL.innerHTML = html;
-    // Wire clicks
-    RESULTS_PANEL.querySelectorAll('.result-link').forEach(btn => {
-        btn.addEventListener('click', async (e) => {
-            const pageNum = parseInt(btn.dataset.page, 10);
-            await scrollToPage(pageNum);
-            // Highlight the specific match on that page
-            const matchItem = {
-                pageNum,
-                x: parseFloat(btn.dataset.x),
-                y: parseFloat(btn.dataset.y),
-                width: parseFloat(btn.dataset.w),
-                height: parseFloat(btn.dataset.h),
-                text: ''
-            };
-            const wrapper = document.getElementById(`page-${pageNum}`);
-            if (wrapper) {
-                // Compute viewport from existing canvas size
-                const canvas = wrapper.querySelector('canvas');
-                const page = await gPdf.getPage(pageNum);
-                const viewport = page.getViewport({ scale: 1.5 });
-                highlightMatch(wrapper, viewport, matchItem);
-            }
+    list.querySelectorAll('.cache-delete').forEach(btn => {
+        btn.addEventListener('click', async () => {
+            await cacheDelete(btn.dataset.id).catch(err => console.warn("Could not delete cache entry:", err));
+            renderCacheList();
         });
     });
 }
 
-function escapeHtml(str) {
-    return str.replace(/[&<>"]/g, (ch) => ({ '&': '&amp;', '<': '&lt;', '>': '&gt;', '"': '&quot;' }[ch]));
+/**
+ * Gets the search query from URL
+ */
+function getSearchTerm() {
+    const params = new URLSearchParams(window.location.search);
+    let q = params.get('text');
+    if (q && q.length) {
+        // URLSearchParams already decoded it once; undo any extra encoding from the bookmarklet
+        if (/%[0-9A-Fa-f]{2}/.test(q)) {
+            try {
+                q = decodeURIComponent(q);
+            } catch (err) {
+                // A literal '%' in the query, keep it as is
+            }
+        }
+        return q.trim() || null;
+    }
+    return null;
+}
+
+/**
+ * Gets the search options from the URL: `mode=`, `ignoreCase=`, and the fuzzy
+ * tuning parameters `threshold=`, `distance=`, `minlen=`, `ignoreLocation=`.
+ * Missing or invalid values fall back to DEFAULT_SEARCH_OPTIONS.
+ */
+function getUrlSearchOptions() {
+    const params = new URLSearchParams(window.location.search);
+    const options = { ...DEFAULT_SEARCH_OPTIONS };
+    const number = (name, min, max) => {
+        const value = parseFloat(params.get(name));
+        return (Number.isFinite(value) && value >= min && value <= max) ? value : null;
+    };
+    const flag = (name) => {
+        const value = params.get(name);
+        if (value === 'false' || value === '0') return false;
+        if (value === 'true' || value === '1') return true;
+        return null;
+    };
+
+    if (SEARCH_MODES.includes(params.get('mode'))) options.mode = params.get('mode');
+    if (flag('ignoreCase') !== null) options.ignoreCase = flag('ignoreCase');
+    if (number('threshold', 0, 1) !== null) options.threshold = number('threshold', 0, 1);
+    if (number('distance', 0, Infinity) !== null) options.distance = Math.round(number('distance', 0, Infinity));
+    if (number('minlen', 1, Infinity) !== null) options.minMatchCharLength = Math.round(number('minlen', 1, Infinity));
+    if (flag('ignoreLocation') !== null) options.ignoreLocation = flag('ignoreLocation');
+    return options;
+}
+
+/**
+ * The search options currently selected in the UI
+ */
+function getSearchOptions() {
+    const options = getUrlSearchOptions();
+    const int = (input, min) => {
+        const value = parseInt(input.value, 10);
+        return Number.isFinite(value) ? Math.max(value, min) : null;
+    };
+    if (SEARCH_MODE_SELECT) options.mode = SEARCH_MODE_SELECT.value;
+    if (MATCH_CASE_CHECKBOX) options.ignoreCase = !MATCH_CASE_CHECKBOX.checked;
+    if (THRESHOLD_INPUT) options.threshold = parseFloat(THRESHOLD_INPUT.value);
+    if (DISTANCE_INPUT && int(DISTANCE_INPUT, 0) !== null) options.distance = int(DISTANCE_INPUT, 0);
+    if (MINLEN_INPUT && int(MINLEN_INPUT, 1) !== null) options.minMatchCharLength = int(MINLEN_INPUT, 1);
+    if (IGNORE_LOCATION_CHECKBOX) options.ignoreLocation = IGNORE_LOCATION_CHECKBOX.checked;
+    return options;
+}
+
+/**
+ * Runs a search against the already-extracted corpus and refreshes
+ * #results and the highlights. Resolves with the best match, or null when
+ * nothing matched or a newer search superseded this one.
+ */
+async function runSearch(searchTerm) {
+    if (!gCorpusReady) return null;
+    const seq = ++searchSeq;
+    let results = [];
+    if (searchTerm) {
+        const options = getSearchOptions();
+        let failure = null;
+        try {
+            ({ results } = await callSearchWorker({ type: 'search', query: searchTerm, options }));
+        } catch (error) {
+            failure = error; // e.g. an invalid regular expression
+        }
+        if (seq !== searchSeq) return null;
+        if (failure) {
+            console.warn("Search failed:", failure);
+            STATUS_DISPLAY.textContent = `Invalid search: ${failure.message}`;
+        } else if (results.length > 0) {
+            const listed = Math.min(results.length, MAX_LISTED_RESULTS);
+            const elsewhere = results.filter(r => r.item.docId !== gActiveDoc.id).length;
+            console.log(`Top matches:`, results.slice(0, 5).map(r => ({ doc: r.item.docId, page: r.item.pageNum, score: r.score })));
+            STATUS_DISPLAY.textContent = elsewhere > 0
+                ? `Found ${results.length - elsewhere} matches in this document and ${elsewhere} in other documents.`
+                : `Found ${results.length} matches. Showing top ${listed}.`;
+        } else {
+            console.warn("No match found.");
+            STATUS_DISPLAY.textContent = `No good match found for "${searchTerm}".`;
+        }
+    } else {
+        STATUS_DISPLAY.textContent = "Ready. Type in the search box to find text.";
+    }
+    gLastSearchTerm = searchTerm;
+    // Results arrive best first, from every document; stepping goes through the
+    // open document's matches in reading order
+    const docResults = results.filter(r => r.item.docId === gActiveDoc.id);
+    gMatches = docResults.slice().sort((a, b) => a.item.start - b.item.start);
+    gActiveMatchIndex = docResults.length > 0 ? gMatches.indexOf(docResults[0]) : -1;
+    gCurrentMatch = gMatches[gActiveMatchIndex] || null;
+    renderResults(results);
+    updateMatchCounter();
+    refreshHighlights();
+    updateOutlineCounts();
+    return gCurrentMatch;
+}
+
+/**
+ * Makes gMatches[index] the active match (wrapping around), scrolls to it and pulses it
+ */
+async function setActiveMatch(index) {
+    if (gMatches.length === 0) return;
+    gActiveMatchIndex = (index + gMatches.length) % gMatches.length;
+    gCurrentMatch = gMatches[gActiveMatchIndex];
+    updateMatchCounter();
+    refreshHighlights();
+    scheduleViewHash();
+    await revealActiveMatch();
+}
+
+function stepMatch(delta) {
+    return setActiveMatch(gActiveMatchIndex + delta);
+}
+
+/**
+ * Renders the pages the active match covers, scrolls its highlight into view and pulses it
+ */
+async function revealActiveMatch() {
+    const match = gCurrentMatch;
+    if (!match) return;
+    for (const pageNum of matchPages(match.item)) {
+        await ensurePageRendered(pageNum);
+    }
+    if (match !== gCurrentMatch) return; // Stepped again while rendering
+    const active = PDF_CONTAINER.querySelectorAll('.highlight.active');
+    if (active.length === 0) {
+        await scrollToPage(match.item.pageNum);
+        return;
+    }
+    active[0].scrollIntoView({ behavior: 'smooth', block: 'center' });
+    active.forEach(el => {
+        el.classList.remove('pulse');
+        void el.offsetWidth; // Restart the animation
+        el.classList.add('pulse');
+    });
+}
+
+function updateMatchCounter() {
+    if (!MATCH_COUNTER) return;
+    MATCH_COUNTER.textContent = gMatches.length > 0
+        ? `Match ${gActiveMatchIndex + 1} of ${gMatches.length}`
+        : 'No matches';
+    if (BTN_PREV_MATCH) BTN_PREV_MATCH.disabled = gMatches.length < 2;
+    if (BTN_NEXT_MATCH) BTN_NEXT_MATCH.disabled = gMatches.length < 2;
 }
 
 
 /**
- * Creates and appends a <div> to highlight the matched text
+ * Wires the header search box: debounced live re-query as you type,
+ * Enter to search immediately, and back/forward through past queries.
  */
-function highlightMatch(pageWrapper, viewport, matchItem) {
-    const { x, y, width, height } = matchItem;
+function wireSearchBox(initialTerm) {
+    if (!SEARCH_INPUT) return;
+    SEARCH_INPUT.value = initialTerm || '';
+    applySearchOptionsToUi(getUrlSearchOptions());
+    let timer = null;
+
+    const commit = async (push) => {
+        clearTimeout(timer);
+        const term = SEARCH_INPUT.value.trim() || null;
+        updateSearchUrl(term, push);
+        const match = await runSearch(term);
+        if (match) revealActiveMatch();
+    };
 
-    // Use viewport rectangle conversion for correct top-left CSS positioning
-    const rect = viewport.convertToViewportRectangle([x, y, x + width, y + height]);
-    const left = Math.min(rect[0], rect[2]);
-    const top = Math.min(rect[1], rect[3]);
-    const w = Math.abs(rect[0] - rect[2]);
-    const h = Math.abs(rect[1] - rect[3]);
+    SEARCH_INPUT.addEventListener('input', () => {
+        clearTimeout(timer);
+        timer = setTimeout(() => commit(false), SEARCH_DEBOUNCE_MS);
+    });
+    // Enter runs a changed query; on an unchanged one Enter / Shift+Enter step through matches
+    SEARCH_INPUT.addEventListener('keydown', (e) => {
+        if (e.key !== 'Enter') return;
+        e.preventDefault();
+        const term = SEARCH_INPUT.value.trim() || null;
+        if (gCorpusReady && term === gLastSearchTerm && gMatches.length > 0) {
+            clearTimeout(timer);
+            stepMatch(e.shiftKey ? -1 : 1);
+        } else {
+            commit(true);
+        }
+    });
+    // Changing the mode or case sensitivity re-runs the search straight away
+    [SEARCH_MODE_SELECT, MATCH_CASE_CHECKBOX, IGNORE_LOCATION_CHECKBOX].forEach(control => {
+        if (control) control.addEventListener('change', () => commit(true));
+    });
+    // Numeric tuning re-runs as you adjust it
+    [THRESHOLD_INPUT, DISTANCE_INPUT, MINLEN_INPUT].forEach(control => {
+        if (!control) return;
+        control.addEventListener('input', () => {
+            applySearchOptionsToUi(getSearchOptions());
+            clearTimeout(timer);
+            timer = setTimeout(() => commit(false), SEARCH_DEBOUNCE_MS);
+        });
+    });
+    window.addEventListener('popstate', async () => {
+        const term = getSearchTerm();
+        const options = getUrlSearchOptions();
+        // Only the hash changed (a pasted or edited deep link): wireDeepLinks follows it
+        const current = getSearchOptions();
+        if (term === gLastSearchTerm && Object.keys(options).every(key => options[key] === current[key])) return;
+        SEARCH_INPUT.value = term || '';
+        applySearchOptionsToUi(options);
+        const search = historySearch = runSearch(term);
+        const match = await search;
+        if (historySearch !== search) return;
+        historySearch = null;
+        const target = getUrlTarget();
+        if (target.page || target.match || target.range) followUrlTarget(target);
+        else if (match) revealActiveMatch();
+    });
+    if (BTN_PREV_MATCH) BTN_PREV_MATCH.addEventListener('click', () => stepMatch(-1));
+    if (BTN_NEXT_MATCH) BTN_NEXT_MATCH.addEventListener('click', () => stepMatch(1));
+}
 
-    const highlight = document.createElement('div');
-    highlight.className = 'highlight';
-    highlight.style.left = `${left}px`;
-    highlight.style.top = `${top}px`;
-    highlight.style.width = `${w}px`;
-    highlight.style.height = `${h}px`;
+function applySearchOptionsToUi(options) {
+    if (SEARCH_MODE_SELECT) SEARCH_MODE_SELECT.value = options.mode;
+    if (MATCH_CASE_CHECKBOX) MATCH_CASE_CHECKBOX.checked = !options.ignoreCase;
+    if (THRESHOLD_INPUT) THRESHOLD_INPUT.value = String(options.threshold);
+    if (THRESHOLD_VALUE) THRESHOLD_VALUE.textContent = options.threshold.toFixed(2);
+    if (DISTANCE_INPUT && document.activeElement !== DISTANCE_INPUT) DISTANCE_INPUT.value = String(options.distance);
+    if (MINLEN_INPUT && document.activeElement !== MINLEN_INPUT) MINLEN_INPUT.value = String(options.minMatchCharLength);
+    if (IGNORE_LOCATION_CHECKBOX) IGNORE_LOCATION_CHECKBOX.checked = options.ignoreLocation;
+    // Location and distance only matter to each other
+    if (DISTANCE_INPUT) DISTANCE_INPUT.disabled = options.ignoreLocation;
+}
 
-    console.log(`Highlighting on page ${matchItem.pageNum}: left=${left}, top=${top}, width=${w}, height=${h}`);
-    pageWrapper.appendChild(highlight);
+/**
+ * Reflects the current query and options in the URL so the view stays shareable.
+ * Typing replaces the current history entry; an explicit search pushes a new one.
+ */
+function updateSearchUrl(term, push) {
+    const url = new URL(window.location.href);
+    const options = getSearchOptions();
+    if (term) url.searchParams.set('text', term);
+    else url.searchParams.delete('text');
+    // Only non-default options are written, to keep links short
+    for (const [key, param] of Object.entries(SEARCH_URL_PARAMS)) {
+        if (options[key] !== DEFAULT_SEARCH_OPTIONS[key]) url.searchParams.set(param, String(options[key]));
+        else url.searchParams.delete(param);
+    }
+    if (url.href === window.location.href) return;
+    if (push) history.pushState(null, '', url);
+    else history.replaceState(null, '', url);
+}
+
+/**
+ * Extract text from all pages. Each page's text content is handed to the search
+ * worker, which builds the line corpus of document `docId` off the main thread and
+ * reports progress. The worker then stores the corpus under `cache` (see corpus-cache.js).
+ * Pages without any text (scans) go through OCR first, unless it is turned off. If OCR
+ * fails on a page the corpus is not cached, so the next visit tries again.
+ * Stops, dropping the partial corpus, once `isCurrent()` turns false.
+ * Resolves with the number of indexed lines.
+ */
+async function extractTextCorpus(pdf, docId, cache = null, isCurrent = () => true) {
+    searchWorker.postMessage({ type: 'reset', docId, numPages: pdf.numPages });
+    let ocrFailed = false;
+
+    for (let i = 1; i <= pdf.numPages; i++) {
+        const page = await pdf.getPage(i);
+        let textContent = await page.getTextContent({ normalizeWhitespace: true });
+        if (CONFIG.ocr && !hasTextItems(textContent) && isCurrent()) {
+            showExtractionProgress(docId, i, pdf.numPages, { ocr: true });
+            try {
+                textContent = await recognizePageText(page);
+            } catch (error) {
+                console.warn(`OCR failed on page ${i}:`, error);
+                ocrFailed = true;
+            }
+        }
+        if (!isCurrent()) { // Another document was opened meanwhile
+            searchWorker.postMessage({ type: 'drop', docId });
+            return 0;
+        }
+        searchWorker.postMessage({ type: 'page', docId, pageNum: i, items: textContent.items, styles: textContent.styles });
+    }
+    const { lines } = await callSearchWorker({ type: 'finish', docId, cache: ocrFailed ? null : cache });
+    return lines;
+}
+
+/**
+ * Asks the search worker to load a previously extracted corpus as document `docId`.
+ * Resolves with its line count, or null when it is not cached.
+ */
+async function restoreCachedCorpus(docId, cacheId) {
+    const { lines } = await callSearchWorker({ type: 'restore', docId, cacheId });
+    return lines;
+}
+
+/**
+ * Cache metadata for a document's corpus
+ */
+function corpusCacheEntry(doc, cacheId) {
+    return {
+        id: cacheId,
+        url: doc.source || doc.url,
+        label: doc.label,
+        numPages: doc.numPages,
+        limitBytes: CONFIG.cacheLimitMB * 1024 * 1024
+    };
+}
+
+/**
+ * Indexes the rest of the collection in the background, one document at a time,
+ * listing each one's results in #results as soon as it is searchable
+ */
+async function indexCollection() {
+    const seq = gCollectionSeq;
+    const isCurrent = () => seq === gCollectionSeq;
+    for (const doc of gDocuments) {
+        if (!isCurrent()) return;
+        if (doc.indexed || doc.indexing || doc === gActiveDoc) continue;
+        doc.indexing = indexDocument(doc, isCurrent);
+        try {
+            await doc.indexing;
+        } catch (error) {
+            console.warn(`Could not index ${doc.url}:`, error);
+            doc.error = error.message || String(error);
+        } finally {
+            doc.indexing = null;
+        }
+        if (!isCurrent()) return;
+        updateCollectionStatus();
+        refreshCollectionResults();
+    }
+}
+
+/**
+ * Loads a document just to get its text into the search worker (restored from the
+ * cache when possible), then closes it again. Resolves with its line count.
+ */
+async function indexDocument(doc, isCurrent) {
+    updateCollectionStatus(doc);
+    const pdf = await loadPdfDocument(doc);
+    try {
+        doc.numPages = pdf.numPages;
+        const cacheId = corpusCacheId(pdf.fingerprints[0] || doc.source, CONFIG.ocr);
+        let lines = await restoreCachedCorpus(doc.id, cacheId);
+        if (lines == null && isCurrent()) {
+            lines = await extractTextCorpus(pdf, doc.id, corpusCacheEntry(doc, cacheId), isCurrent);
+        }
+        if (isCurrent()) doc.indexed = true;
+        return lines;
+    } finally {
+        pdf.destroy();
+    }
+}
+
+/**
+ * Re-runs the current query so newly indexed documents join #results, leaving
+ * the open document's matches and the active match alone
+ */
+async function refreshCollectionResults() {
+    if (!gCorpusReady || !gLastSearchTerm) return;
+    const seq = searchSeq;
+    let results;
+    try {
+        ({ results } = await callSearchWorker({ type: 'search', query: gLastSearchTerm, options: getSearchOptions() }));
+    } catch (error) {
+        return; // runSearch already reported it
+    }
+    if (seq === searchSeq) renderResults(results);
+}
+
+/**
+ * Shows how far indexing of the collection has got; `indexing` is the document in progress
+ */
+function updateCollectionStatus(indexing = null, progress = '') {
+    if (!COLLECTION_STATUS) return;
+    const count = gDocuments.length;
+    COLLECTION_STATUS.hidden = count < 2;
+    if (count < 2) return;
+    const ready = gDocuments.filter(d => d.indexed).length;
+    const failed = gDocuments.filter(d => d.error).length;
+    COLLECTION_STATUS.textContent = indexing
+        ? `Indexing ${ready + 1} of ${count}: ${indexing.label}${progress}`
+        : `Searching ${ready} of ${count} documents${failed ? ` (${failed} could not be loaded)` : ''}.`;
+}
+
+/**
+ * Sends a request to the search worker and resolves with its reply
+ */
+function callSearchWorker(message) {
+    const id = ++workerCallId;
+    return new Promise((resolve, reject) => {
+        pendingWorkerCalls.set(id, { resolve, reject });
+        searchWorker.postMessage({ ...message, id });
+    });
+}
+
+/**
+ * Routes worker messages: extraction progress goes to #status, replies settle their call
+ */
+function onSearchWorkerMessage(e) {
+    const msg = e.data;
+    if (msg.type === 'progress') {
+        showExtractionProgress(msg.docId, msg.pageNum, msg.numPages, { lines: msg.lines });
+        return;
+    }
+    const call = pendingWorkerCalls.get(msg.id);
+    if (!call) return;
+    pendingWorkerCalls.delete(msg.id);
+    if (msg.error) call.reject(new Error(msg.error));
+    else call.resolve(msg);
+}
+
+/**
+ * Reports extraction progress in #status for the open document, or in the collection
+ * line for one indexed in the background. `ocr` marks a page being recognized.
+ */
+function showExtractionProgress(docId, pageNum, numPages, { lines = null, ocr = false } = {}) {
+    if (gActiveDoc && docId === gActiveDoc.id) {
+        STATUS_DISPLAY.textContent = ocr
+            ? `Recognizing text (OCR)... page ${pageNum} of ${numPages}`
+            : `Extracting text... page ${pageNum} of ${numPages} (${lines} lines)`;
+        return;
+    }
+    const doc = gDocuments.find(d => d.id === docId);
+    if (doc) updateCollectionStatus(doc, ` (page ${pageNum} of ${numPages}${ocr ? ', OCR' : ''})`);
+}
+
+/**
+ * Horizontal offset, in PDF units, of character `charIndex` within a segment.
+ * Glyphs are measured in the segment's font and scaled to the item's real width.
+ */
+function glyphOffset(segment, charIndex) {
+    const ctx = getMeasureContext();
+    ctx.font = `10px ${segment.fontFamily}`;
+    const total = ctx.measureText(segment.raw).width;
+    if (!total) return segment.width * (charIndex / segment.raw.length);
+    const prefix = ctx.measureText(segment.raw.slice(0, segment.skip + charIndex)).width;
+    return segment.width * (prefix / total);
+}
+
+let measureContext = null;
+function getMeasureContext() {
+    if (!measureContext) measureContext = document.createElement('canvas').getContext('2d');
+    return measureContext;
+}
+
+/**
+ * Creates an empty, correctly sized wrapper for every page in document order
+ * and starts watching them, so only pages near the viewport get rendered.
+ */
+async function layoutPages(pdf) {
+    PDF_CONTAINER.innerHTML = '';
+    for (let i = 1; i <= pdf.numPages; i++) {
+        const page = await pdf.getPage(i);
+        if (pdf !== gPdf) return; // Another document was opened meanwhile
+        pageBaseViewports.set(i, page.getViewport({ scale: 1 }));
+    }
+    // Fit modes depend on the page sizes
+    gScale = computeZoomScale(gZoomMode);
+    updateZoomUi();
+
+    for (const [i, base] of pageBaseViewports) {
+        const pageWrapper = document.createElement('div');
+        pageWrapper.id = `page-${i}`;
+        pageWrapper.className = 'page-wrapper placeholder';
+        pageWrapper.dataset.page = String(i);
+        pageWrapper.style.width = `${base.width * gScale}px`;
+        pageWrapper.style.height = `${base.height * gScale}px`;
+        PDF_CONTAINER.appendChild(pageWrapper);
+    }
+    observePages();
+    buildThumbnails();
+    updateBookmarkMarks();
+    updateHeatmap();
+}
+
+/**
+ * Watches the page placeholders: pages entering the render margin are queued for
+ * rendering, pages leaving the (larger) release margin give their canvas back, and
+ * pages on screen decide the current page.
+ */
+function observePages() {
+    const pageOf = (entry) => parseInt(entry.target.dataset.page, 10);
+    const renderObserver = new IntersectionObserver((entries) => {
+        for (const entry of entries) {
+            const pageNum = pageOf(entry);
+            if (entry.isIntersecting) {
+                nearPages.add(pageNum);
+                ensurePageRendered(pageNum, true);
+            } else {
+                nearPages.delete(pageNum);
+                // Scrolled past before it finished: make room for the pages now in view
+                const render = activeRenders.get(pageNum);
+                if (render && render.lazy) cancelPageRender(pageNum);
+            }
+        }
+    }, { rootMargin: RENDER_MARGIN });
+    const releaseObserver = new IntersectionObserver((entries) => {
+        for (const entry of entries) {
+            const pageNum = pageOf(entry);
+            if (entry.isIntersecting) {
+                farPages.delete(pageNum);
+            } else {
+                farPages.add(pageNum);
+                releasePage(pageNum);
+            }
+        }
+    }, { rootMargin: RELEASE_MARGIN });
+    const visibilityObserver = new IntersectionObserver((entries) => {
+        for (const entry of entries) {
+            if (entry.isIntersecting) visiblePages.add(pageOf(entry));
+            else visiblePages.delete(pageOf(entry));
+        }
+        updateCurrentPage();
+    }, { threshold: VISIBILITY_THRESHOLDS });
+
+    PDF_CONTAINER.querySelectorAll('.page-wrapper').forEach(el => {
+        renderObserver.observe(el);
+        releaseObserver.observe(el);
+        visibilityObserver.observe(el);
+    });
+    pageObservers = [renderObserver, releaseObserver, visibilityObserver];
+}
+
+// --- Render scheduler ---
+
+/**
+ * Requests a page render and resolves once it is done (or dropped). A page renders
+ * once even if requested again meanwhile. Requests wait for a free render slot,
+ * pages asked for by navigation first, then the ones on screen, then the rest by
+ * distance from the current page. With `lazy`, the request is dropped if the page
+ * has left the render margin by the time its turn comes (e.g. fast scrolling).
+ */
+function ensurePageRendered(pageNum, lazy = false) {
+    if (renderedPages.has(pageNum)) return Promise.resolve();
+    const active = activeRenders.get(pageNum);
+    if (active) {
+        if (!lazy) active.lazy = false;
+        return active.done;
+    }
+    let request = renderRequests.get(pageNum);
+    if (!request) {
+        request = { lazy, waiters: [] };
+        renderRequests.set(pageNum, request);
+    }
+    if (!lazy) request.lazy = false;
+    const done = new Promise(resolve => request.waiters.push(resolve));
+    pumpRenders();
+    return done;
+}
+
+/**
+ * Starts waiting renders while there are free slots
+ */
+function pumpRenders() {
+    for (const [pageNum, request] of renderRequests) {
+        if (request.lazy && !nearPages.has(pageNum)) dropRenderRequest(pageNum);
+    }
+    while (activeRenders.size < MAX_ACTIVE_RENDERS && renderRequests.size > 0 && gPdf) {
+        const pageNum = nextPageToRender();
+        const { lazy, waiters } = renderRequests.get(pageNum);
+        renderRequests.delete(pageNum);
+        startRender(pageNum, lazy, waiters);
+    }
+}
+
+function nextPageToRender() {
+    const rank = (pageNum) => {
+        if (!renderRequests.get(pageNum).lazy) return 0;
+        return visiblePages.has(pageNum) ? 1 : 2;
+    };
+    return [...renderRequests.keys()].sort((a, b) =>
+        rank(a) - rank(b) || Math.abs(a - gCurrentPage) - Math.abs(b - gCurrentPage)
+    )[0];
+}
+
+function startRender(pageNum, lazy, waiters) {
+    const render = { scale: gScale, lazy, cancelled: false, tasks: [] };
+    render.done = renderPage(gPdf, pageNum, render)
+        .catch(err => {
+            if (!render.cancelled) console.error('Render failed:', err);
+        })
+        .finally(() => {
+            if (activeRenders.get(pageNum) === render) activeRenders.delete(pageNum);
+            waiters.forEach(resolve => resolve());
+            pumpRenders();
+        });
+    activeRenders.set(pageNum, render);
+}
+
+function dropRenderRequest(pageNum) {
+    const request = renderRequests.get(pageNum);
+    if (!request) return;
+    renderRequests.delete(pageNum);
+    request.waiters.forEach(resolve => resolve());
+}
+
+/**
+ * Stops a render in progress (its pdf.js tasks reject and it cleans up after itself)
+ * and frees its slot right away, so the page can be requested again
+ */
+function cancelPageRender(pageNum) {
+    const render = activeRenders.get(pageNum);
+    if (!render) return;
+    render.cancelled = true;
+    render.tasks.forEach(task => task.cancel());
+    activeRenders.delete(pageNum);
+    pumpRenders();
+}
+
+function cancelAllRenders() {
+    [...renderRequests.keys()].forEach(dropRenderRequest);
+    [...activeRenders.keys()].forEach(cancelPageRender);
+}
+
+/**
+ * Renders a single PDF page with both a <canvas> and a <textLayer> into its placeholder.
+ * The layers are built detached and only added once complete, so a cancelled
+ * `render` (see startRender) leaves the placeholder untouched.
+ */
+async function renderPage(pdf, pageNum, render) {
+    const page = await pdf.getPage(pageNum);
+    if (render.cancelled) return;
+    const viewport = page.getViewport({ scale: render.scale });
+
+    // The wrapper holds the canvas, text, and highlights
+    const pageWrapper = document.getElementById(`page-${pageNum}`);
+    pageWrapper.style.width = `${viewport.width}px`;
+    pageWrapper.style.height = `${viewport.height}px`;
+
+    // Create canvas (the "picture" layer), reusing a released one when possible.
+    // Its backing store has device pixels; CSS scales it back to the viewport size,
+    // which the text layer and highlights are positioned in.
+    const outputScale = canvasOutputScale(viewport, pageNum);
+    const canvas = canvasPool.pop() || document.createElement('canvas');
+    const context = canvas.getContext('2d');
+    canvas.width = Math.floor(viewport.width * outputScale);
+    canvas.height = Math.floor(viewport.height * outputScale);
+    canvas.style.width = `${viewport.width}px`;
+    canvas.style.height = `${viewport.height}px`;
+    canvasBytes.set(pageNum, canvas.width * canvas.height * 4);
+
+    // Create the invisible text layer
+    const textLayerDiv = document.createElement('div');
+    textLayerDiv.className = 'textLayer';
+
+    try {
+        // Get text content for this page
+        const textContent = await page.getTextContent({ normalizeWhitespace: true });
+        if (render.cancelled) throw new pdfjsLib.RenderingCancelledException('Rendering cancelled', 'canvas');
+
+        // Run render tasks in parallel for speed
+        const canvasTask = page.render({
+            canvasContext: context,
+            viewport: viewport,
+            transform: outputScale !== 1 ? [outputScale, 0, 0, outputScale, 0, 0] : null
+        });
+        const textTask = pdfjsLib.renderTextLayer({
+            textContent,
+            container: textLayerDiv,
+            viewport,
+            textDivs: [],
+            enhanceTextSelection: true
+        });
+        render.tasks.push(canvasTask, textTask);
+        await Promise.all([canvasTask.promise, textTask.promise]);
+        if (render.cancelled) throw new pdfjsLib.RenderingCancelledException('Rendering cancelled', 'canvas');
+    } catch (error) {
+        // Give the canvas back, unless a newer render of this page has claimed the budget
+        if (!activeRenders.has(pageNum)) canvasBytes.delete(pageNum);
+        recycleCanvas(canvas);
+        throw error;
+    }
+
+    // Append layers to the wrapper; mark as rendered for navigation
+    pageWrapper.appendChild(canvas);
+    pageWrapper.appendChild(textLayerDiv);
+    renderedPages.add(pageNum);
+    pageViewports.set(pageNum, viewport);
+    pageWrapper.classList.remove('placeholder');
+
+    // --- Highlighting Logic (now runs *after* layers are built) ---
+    highlightPageMatches(pageWrapper, viewport, pageNum);
+    drawPageAnnotations(pageWrapper, viewport, pageNum);
+}
+
+/**
+ * Drops a rendered page back to an empty placeholder, returning its canvas to the pool
+ */
+function releasePage(pageNum) {
+    cancelPageRender(pageNum);
+    if (!renderedPages.has(pageNum)) return;
+    canvasBytes.delete(pageNum);
+    const pageWrapper = document.getElementById(`page-${pageNum}`);
+    const canvas = pageWrapper.querySelector('canvas');
+    if (canvas) {
+        canvas.remove();
+        recycleCanvas(canvas);
+    }
+    pageWrapper.querySelectorAll('.textLayer, .highlight, .annotation').forEach(el => el.remove());
+    pageWrapper.classList.add('placeholder');
+    renderedPages.delete(pageNum);
+}
+
+function recycleCanvas(canvas) {
+    freeCanvas(canvas);
+    if (canvasPool.length < CANVAS_POOL_SIZE) canvasPool.push(canvas);
+}
+
+/**
+ * Shrinks a canvas that is done with, which frees its backing store right away
+ * instead of whenever the canvas is garbage collected
+ */
+function freeCanvas(canvas) {
+    canvas.width = 0;
+    canvas.height = 0;
+}
+
+/**
+ * Device pixels per CSS pixel for a page's canvas: devicePixelRatio, lowered if the
+ * canvas would exceed MAX_CANVAS_PIXELS. To stay within CANVAS_MEMORY_BUDGET, rendered
+ * pages away from the viewport are released first; only then is the ratio lowered,
+ * but never below 1 (CSS resolution, as sharp as a standard display).
+ */
+function canvasOutputScale(viewport, pageNum) {
+    const area = viewport.width * viewport.height;
+    let scale = Math.min(window.devicePixelRatio || 1, Math.sqrt(MAX_CANVAS_PIXELS / area));
+    const needed = () => Math.floor(viewport.width * scale) * Math.floor(viewport.height * scale) * 4;
+    const used = () => [...canvasBytes.entries()].reduce((sum, [n, bytes]) => sum + (n === pageNum ? 0 : bytes), 0);
+
+    // Furthest pages first
+    const releasable = [...renderedPages]
+        .filter(n => n !== pageNum && !nearPages.has(n))
+        .sort((a, b) => Math.abs(b - pageNum) - Math.abs(a - pageNum));
+    while (used() + needed() > CANVAS_MEMORY_BUDGET && releasable.length > 0) {
+        releasePage(releasable.shift());
+    }
+    const room = CANVAS_MEMORY_BUDGET - used();
+    if (needed() > room) scale = Math.sqrt(Math.max(room, 0) / (4 * area));
+    return Math.max(scale, 1);
+}
+
+/**
+ * Re-renders the pages on screen when devicePixelRatio changes (browser zoom,
+ * or the window moved to a display with another density)
+ */
+function watchPixelRatio() {
+    const query = window.matchMedia(`(resolution: ${window.devicePixelRatio || 1}dppx)`);
+    query.addEventListener('change', () => {
+        rerenderPages();
+        watchPixelRatio(); // The query only matched the old ratio
+    }, { once: true });
+}
+
+/**
+ * Drops every rendered page, cancels renders still running with the old settings
+ * and renders the pages near the viewport again
+ */
+function rerenderPages() {
+    [...renderedPages, ...activeRenders.keys()].forEach(releasePage);
+    nearPages.forEach(pageNum => ensurePageRendered(pageNum, true));
+}
+
+// --- Sidebar ---
+
+/**
+ * Wires the sidebar toggle in #nav, the tabs switching its panels and the match
+ * heatmap. The sidebar sits below the sticky header, whose height is tracked in
+ * --header-height.
+ */
+function wireSidebar() {
+    const header = document.getElementById('header');
+    if (header) {
+        new ResizeObserver(() => {
+            document.documentElement.style.setProperty('--header-height', `${header.offsetHeight}px`);
+        }).observe(header);
+    }
+    if (!SIDEBAR || !BTN_TOGGLE_SIDEBAR) return;
+
+    BTN_TOGGLE_SIDEBAR.addEventListener('click', () => {
+        SIDEBAR.hidden = !SIDEBAR.hidden;
+        BTN_TOGGLE_SIDEBAR.setAttribute('aria-expanded', String(!SIDEBAR.hidden));
+        refitZoom();
+    });
+    if (MATCH_HEATMAP) MATCH_HEATMAP.addEventListener('click', (e) => {
+        const rect = MATCH_HEATMAP.getBoundingClientRect();
+        const pageNum = pageAtFraction((e.clientY - rect.top) / rect.height);
+        if (pageNum) scrollToPage(pageNum);
+    });
+    SIDEBAR.querySelectorAll('.sidebar-tab').forEach(tab => {
+        tab.addEventListener('click', () => {
+            SIDEBAR.querySelectorAll('.sidebar-tab').forEach(t => t.classList.toggle('active', t === tab));
+            SIDEBAR.querySelectorAll('.sidebar-panel').forEach(panel => { panel.hidden = panel.id !== tab.dataset.panel; });
+        });
+    });
+}
+
+/**
+ * Reads the document outline into the sidebar, with every destination resolved to
+ * a page (and a position on it, when the destination has one)
+ */
+async function loadOutline(pdf) {
+    if (!OUTLINE_PANEL) return;
+    OUTLINE_PANEL.innerHTML = '<p class="sidebar-note">Loading outline…</p>';
+    let outline = null;
+    try {
+        outline = await pdf.getOutline();
+    } catch (error) {
+        console.warn("Could not read the outline:", error);
+    }
+    if (pdf !== gPdf) return;
+    if (!outline || outline.length === 0) {
+        OUTLINE_PANEL.innerHTML = '<p class="sidebar-note">This document has no outline.</p>';
+        return;
+    }
+
+    const entries = [];
+    const collect = (items, depth) => items.map(item => {
+        const entry = { title: item.title, depth, page: null, top: null, end: null, countEl: null };
+        entries.push(entry);
+        return { entry, dest: item.dest, children: collect(item.items || [], depth + 1) };
+    });
+    const tree = collect(outline, 0);
+    const nodes = [];
+    const walk = (list) => list.forEach(node => { nodes.push(node); walk(node.children); });
+    walk(tree);
+    await Promise.all(nodes.map(async node => Object.assign(node.entry, await resolveDestination(pdf, node.dest))));
+    if (pdf !== gPdf) return;
+
+    // A section runs until the next entry at its level or above
+    entries.forEach((entry, i) => {
+        const next = entries.slice(i + 1).find(e => e.depth <= entry.depth && e.page != null);
+        entry.end = next ? { page: next.page, top: next.top } : null;
+    });
+
+    gOutline = entries;
+    OUTLINE_PANEL.innerHTML = '';
+    OUTLINE_PANEL.appendChild(buildOutlineList(tree));
+    updateOutlineCounts();
+}
+
+/**
+ * { page, top } for an outline destination (a name or an explicit array), or {} when it has none
+ */
+async function resolveDestination(pdf, dest) {
+    try {
+        const explicit = typeof dest === 'string' ? await pdf.getDestination(dest) : dest;
+        if (!Array.isArray(explicit)) return {};
+        const [ref, mode, ...args] = explicit;
+        const pageIndex = (ref && typeof ref === 'object') ? await pdf.getPageIndex(ref) : ref;
+        if (!Number.isInteger(pageIndex)) return {};
+        // [XYZ left top zoom] and [FitH top] / [FitBH top] say where on the page
+        let top = null;
+        const name = mode && mode.name;
+        if (name === 'XYZ' && typeof args[1] === 'number') top = args[1];
+        else if ((name === 'FitH' || name === 'FitBH') && typeof args[0] === 'number') top = args[0];
+        return { page: pageIndex + 1, top };
+    } catch (error) {
+        console.warn("Could not resolve outline destination:", dest, error);
+        return {};
+    }
+}
+
+function buildOutlineList(nodes) {
+    const list = document.createElement('ul');
+    list.className = 'outline-list';
+    for (const { entry, children } of nodes) {
+        const li = document.createElement('li');
+        const row = document.createElement('div');
+        row.className = 'outline-row';
+
+        const toggle = document.createElement('button');
+        toggle.className = 'outline-toggle';
+        if (children.length > 0) {
+            toggle.textContent = '▾';
+            toggle.title = 'Collapse';
+        } else {
+            toggle.disabled = true;
+        }
+        row.appendChild(toggle);
+
+        const link = document.createElement('button');
+        link.className = 'outline-entry';
+        link.textContent = entry.title;
+        link.title = entry.page ? `${entry.title} (page ${entry.page})` : entry.title;
+        link.disabled = entry.page == null;
+        link.addEventListener('click', () => scrollToPosition(entry.page, entry.top));
+        row.appendChild(link);
+
+        entry.countEl = document.createElement('span');
+        entry.countEl.className = 'outline-count';
+        entry.countEl.hidden = true;
+        row.appendChild(entry.countEl);
+        li.appendChild(row);
+
+        if (children.length > 0) {
+            const childList = buildOutlineList(children);
+            li.appendChild(childList);
+            toggle.addEventListener('click', () => {
+                childList.hidden = !childList.hidden;
+                toggle.textContent = childList.hidden ? '▸' : '▾';
+                toggle.title = childList.hidden ? 'Expand' : 'Collapse';
+            });
+        }
+        list.appendChild(li);
+    }
+    return list;
+}
+
+/**
+ * Orders positions { page, top } in reading order; a null top is the top of its page
+ */
+function comparePositions(a, b) {
+    if (a.page !== b.page) return a.page - b.page;
+    const ta = a.top == null ? Infinity : a.top;
+    const tb = b.top == null ? Infinity : b.top;
+    if (ta === tb) return 0;
+    return ta > tb ? -1 : 1; // PDF y grows upwards
+}
+
+/**
+ * Shows next to each outline entry how many of the current matches fall in its section
+ */
+function updateOutlineCounts() {
+    const positions = gMatches.map(m => ({ page: m.item.pageNum, top: m.item.y + m.item.height }));
+    for (const entry of gOutline) {
+        if (!entry.countEl) continue;
+        const count = entry.page == null ? 0 : positions.filter(pos =>
+            comparePositions(pos, entry) >= 0 && (!entry.end || comparePositions(pos, entry.end) < 0)
+        ).length;
+        entry.countEl.textContent = String(count);
+        entry.countEl.hidden = count === 0;
+        entry.countEl.title = `${count} ${count === 1 ? 'match' : 'matches'} in this section`;
+    }
+}
+
+/**
+ * Creates a sized, empty thumbnail for every page; they render once scrolled into
+ * view in the sidebar (hidden panels never intersect, so nothing renders until the
+ * thumbnails are shown)
+ */
+function buildThumbnails() {
+    if (!THUMBNAIL_PANEL) return;
+    THUMBNAIL_PANEL.innerHTML = '';
+    const observer = new IntersectionObserver((entries) => {
+        for (const entry of entries) {
+            const pageNum = parseInt(entry.target.dataset.page, 10);
+            if (entry.isIntersecting) {
+                visibleThumbnails.add(pageNum);
+                ensureThumbnailRendered(pageNum);
+            } else {
+                visibleThumbnails.delete(pageNum);
+                releaseThumbnail(pageNum);
+            }
+        }
+    }, { root: SIDEBAR, rootMargin: THUMBNAIL_MARGIN });
+
+    for (const [pageNum, base] of pageBaseViewports) {
+        const thumb = document.createElement('button');
+        thumb.className = 'thumbnail';
+        thumb.dataset.page = String(pageNum);
+        thumb.title = `Page ${pageNum}`;
+        if (pageNum === gCurrentPage) thumb.classList.add('current');
+        thumb.addEventListener('click', () => scrollToPage(pageNum));
+
+        const frame = document.createElement('div');
+        frame.className = 'thumbnail-page';
+        frame.style.width = `${THUMBNAIL_WIDTH}px`;
+        frame.style.height = `${Math.round(base.height * THUMBNAIL_WIDTH / base.width)}px`;
+        thumb.appendChild(frame);
+
+        const label = document.createElement('span');
+        label.className = 'thumbnail-label';
+        label.textContent = String(pageNum);
+        thumb.appendChild(label);
+
+        THUMBNAIL_PANEL.appendChild(thumb);
+        observer.observe(thumb);
+    }
+    pageObservers.push(observer);
+    updateThumbnailMarkers();
+}
+
+/**
+ * Queues a thumbnail render, skipped if it has scrolled out of the sidebar meanwhile
+ */
+function ensureThumbnailRendered(pageNum) {
+    if (renderedThumbnails.has(pageNum)) return;
+    const pdf = gPdf;
+    thumbnailQueue = thumbnailQueue
+        .then(() => {
+            if (pdf !== gPdf || renderedThumbnails.has(pageNum) || !visibleThumbnails.has(pageNum)) return;
+            return renderThumbnail(pdf, pageNum);
+        })
+        .catch(err => console.error('Thumbnail render failed:', err));
+}
+
+async function renderThumbnail(pdf, pageNum) {
+    const page = await pdf.getPage(pageNum);
+    const base = pageBaseViewports.get(pageNum);
+    const viewport = page.getViewport({ scale: THUMBNAIL_WIDTH * (window.devicePixelRatio || 1) / base.width });
+    const canvas = document.createElement('canvas');
+    canvas.width = Math.floor(viewport.width);
+    canvas.height = Math.floor(viewport.height);
+    await page.render({ canvasContext: canvas.getContext('2d'), viewport }).promise;
+    const frame = THUMBNAIL_PANEL.querySelector(`.thumbnail[data-page="${pageNum}"] .thumbnail-page`);
+    // Another document, or scrolled out of the sidebar meanwhile
+    if (pdf !== gPdf || !frame || !visibleThumbnails.has(pageNum)) {
+        freeCanvas(canvas);
+        return;
+    }
+    frame.prepend(canvas);
+    renderedThumbnails.add(pageNum);
+}
+
+/**
+ * Frees a thumbnail's canvas once it is out of THUMBNAIL_MARGIN; it renders again when scrolled back
+ */
+function releaseThumbnail(pageNum) {
+    if (!renderedThumbnails.has(pageNum)) return;
+    renderedThumbnails.delete(pageNum);
+    const canvas = THUMBNAIL_PANEL.querySelector(`.thumbnail[data-page="${pageNum}"] canvas`);
+    if (!canvas) return;
+    canvas.remove();
+    freeCanvas(canvas);
+}
+
+/**
+ * Marks the matches on each thumbnail, positioned as a fraction of the page so
+ * they need no redraw when the thumbnail renders
+ */
+function updateThumbnailMarkers() {
+    if (!THUMBNAIL_PANEL) return;
+    THUMBNAIL_PANEL.querySelectorAll('.thumbnail-marker').forEach(el => el.remove());
+    THUMBNAIL_PANEL.querySelectorAll('.thumbnail.has-matches').forEach(el => el.classList.remove('has-matches'));
+    gMatches.forEach((match, index) => {
+        for (const pageNum of matchPages(match.item)) {
+            const base = pageBaseViewports.get(pageNum);
+            const thumb = THUMBNAIL_PANEL.querySelector(`.thumbnail[data-page="${pageNum}"]`);
+            if (!base || !thumb) continue;
+            thumb.classList.add('has-matches');
+            const lines = (match.item.lines || [match.item]).filter(l => l.pageNum === pageNum);
+            for (const line of lines) {
+                const rect = base.convertToViewportRectangle([line.x, line.y, line.x + line.width, line.y + line.height]);
+                const marker = document.createElement('div');
+                marker.className = index === gActiveMatchIndex ? 'thumbnail-marker active' : 'thumbnail-marker';
+                marker.style.left = `${Math.min(rect[0], rect[2]) / base.width * 100}%`;
+                marker.style.top = `${Math.min(rect[1], rect[3]) / base.height * 100}%`;
+                marker.style.width = `${Math.abs(rect[2] - rect[0]) / base.width * 100}%`;
+                marker.style.height = `${Math.abs(rect[3] - rect[1]) / base.height * 100}%`;
+                thumb.querySelector('.thumbnail-page').appendChild(marker);
+            }
+        }
+    });
+}
+
+/**
+ * Top of every page in the document as a fraction of the whole page column
+ */
+function pageFractions() {
+    const containerRect = PDF_CONTAINER.getBoundingClientRect();
+    if (containerRect.height === 0) return [];
+    return [...PDF_CONTAINER.querySelectorAll('.page-wrapper')].map(wrapper => {
+        const rect = wrapper.getBoundingClientRect();
+        return {
+            pageNum: parseInt(wrapper.dataset.page, 10),
+            top: (rect.top - containerRect.top) / containerRect.height,
+            height: rect.height / containerRect.height
+        };
+    });
+}
+
+function pageAtFraction(fraction) {
+    const pages = pageFractions();
+    let found = null;
+    for (const page of pages) {
+        if (page.top > fraction) break;
+        found = page.pageNum;
+    }
+    return found || (pages[0] && pages[0].pageNum);
+}
+
+/**
+ * Draws match density along the right edge of the window: each match is a faint
+ * tick at its place in the document, so clusters show up darker
+ */
+function updateHeatmap() {
+    if (!MATCH_HEATMAP) return;
+    MATCH_HEATMAP.hidden = gMatches.length === 0;
+    if (MATCH_HEATMAP.hidden) return;
+    const canvas = MATCH_HEATMAP.querySelector('canvas');
+    const ratio = window.devicePixelRatio || 1;
+    canvas.width = Math.round(MATCH_HEATMAP.clientWidth * ratio);
+    canvas.height = Math.round(MATCH_HEATMAP.clientHeight * ratio);
+    const context = canvas.getContext('2d');
+    context.clearRect(0, 0, canvas.width, canvas.height);
+
+    const pages = new Map(pageFractions().map(p => [p.pageNum, p]));
+    const tick = Math.max(2 * ratio, 1);
+    const positionOf = (item) => {
+        const page = pages.get(item.pageNum);
+        const base = pageBaseViewports.get(item.pageNum);
+        if (!page || !base) return null;
+        const [, y] = base.convertToViewportPoint(item.x, item.y + item.height);
+        return (page.top + page.height * y / base.height) * canvas.height;
+    };
+    context.fillStyle = 'rgba(255, 170, 0, 0.35)';
+    for (const match of gMatches) {
+        const y = positionOf(match.item);
+        if (y != null) context.fillRect(0, y, canvas.width, tick);
+    }
+    const active = gCurrentMatch && positionOf(gCurrentMatch.item);
+    if (active != null) {
+        context.fillStyle = '#d35400';
+        context.fillRect(0, active - tick / 2, canvas.width, tick * 2);
+    }
+}
+
+// --- Annotations ---
+
+/**
+ * Wires saving a highlight from a text selection (a toolbar pops up next to it),
+ * the bookmark button in #nav and the annotation list in the sidebar
+ */
+function wireAnnotations() {
+    if (!ANNOTATION_TOOLBAR) return;
+    for (const [name, color] of Object.entries(ANNOTATION_COLORS)) {
+        const btn = document.createElement('button');
+        btn.className = 'annotation-color';
+        btn.title = `Highlight in ${name}`;
+        btn.style.backgroundColor = color;
+        btn.addEventListener('click', () => addHighlight(name));
+        ANNOTATION_TOOLBAR.appendChild(btn);
+    }
+    // Read the selection when it is made; focusing the note input would clear it
+    PDF_CONTAINER.addEventListener('mouseup', () => setTimeout(() => {
+        const selection = captureSelection();
+        if (selection) showAnnotationToolbar(selection);
+    }));
+    document.addEventListener('mousedown', (e) => {
+        if (!ANNOTATION_TOOLBAR.contains(e.target)) hideAnnotationToolbar();
+    });
+    ANNOTATION_TOOLBAR.addEventListener('keydown', (e) => {
+        if (e.key === 'Enter') addHighlight(Object.keys(ANNOTATION_COLORS)[0]);
+        else if (e.key === 'Escape') hideAnnotationToolbar();
+    });
+    if (BTN_BOOKMARK) BTN_BOOKMARK.addEventListener('click', () => toggleBookmark(gCurrentPage));
+}
+
+/**
+ * The text selected in the text layers and where it is, as rectangles in PDF units
+ * per page (a selection may span pages), or null without a usable selection
+ */
+function captureSelection() {
+    const selection = window.getSelection();
+    if (!selection || selection.isCollapsed || selection.rangeCount === 0) return null;
+    const range = selection.getRangeAt(0);
+    const text = selection.toString().replace(/\s+/g, ' ').trim();
+    if (!text) return null;
+
+    // Rects of the selected text nodes only; the range's own rects include whole elements
+    const rects = [];
+    const root = range.commonAncestorContainer;
+    const walker = document.createTreeWalker(root.nodeType === Node.TEXT_NODE ? root.parentNode : root, NodeFilter.SHOW_TEXT);
+    for (let node = walker.nextNode(); node; node = walker.nextNode()) {
+        if (!range.intersectsNode(node) || !node.parentElement.closest('.textLayer')) continue;
+        const wrapper = node.parentElement.closest('.page-wrapper');
+        const pageNum = parseInt(wrapper.dataset.page, 10);
+        const viewport = pageViewports.get(pageNum);
+        if (!viewport) continue;
+        const part = document.createRange();
+        part.selectNodeContents(node);
+        if (node === range.startContainer) part.setStart(node, range.startOffset);
+        if (node === range.endContainer) part.setEnd(node, range.endOffset);
+        const origin = wrapper.getBoundingClientRect();
+        for (const r of part.getClientRects()) {
+            if (r.width < 1 || r.height < 1) continue;
+            const [x0, y0] = viewport.convertToPdfPoint(r.left - origin.left, r.bottom - origin.top);
+            const [x1, y1] = viewport.convertToPdfPoint(r.right - origin.left, r.top - origin.top);
+            rects.push({ page: pageNum, rect: [Math.min(x0, x1), Math.min(y0, y1), Math.max(x0, x1), Math.max(y0, y1)].map(n => Math.round(n * 100) / 100) });
+        }
+    }
+    if (rects.length === 0) return null;
+    const last = range.getBoundingClientRect();
+    return { text, rects, anchor: { left: last.left, bottom: last.bottom } };
+}
+
+function showAnnotationToolbar(selection) {
+    pendingSelection = selection;
+    ANNOTATION_NOTE_INPUT.value = '';
+    ANNOTATION_TOOLBAR.hidden = false;
+    const maxLeft = document.documentElement.clientWidth - ANNOTATION_TOOLBAR.offsetWidth - 8;
+    ANNOTATION_TOOLBAR.style.left = `${Math.max(Math.min(selection.anchor.left, maxLeft), 8) + window.scrollX}px`;
+    ANNOTATION_TOOLBAR.style.top = `${selection.anchor.bottom + window.scrollY + 6}px`;
+}
+
+function hideAnnotationToolbar() {
+    pendingSelection = null;
+    if (ANNOTATION_TOOLBAR) ANNOTATION_TOOLBAR.hidden = true;
+}
+
+function addHighlight(color) {
+    if (!pendingSelection || !gAnnotationsKey) return;
+    const { text, rects } = pendingSelection;
+    gAnnotations.highlights.push({ id: annotationId(), text, color, note: ANNOTATION_NOTE_INPUT.value.trim(), rects });
+    hideAnnotationToolbar();
+    window.getSelection().removeAllRanges();
+    annotationsChanged();
+    STATUS_DISPLAY.textContent = `Saved a highlight on page ${rects[0].page}.`;
+}
+
+function toggleBookmark(pageNum) {
+    if (!gAnnotationsKey) return;
+    const existing = gAnnotations.bookmarks.find(b => b.page === pageNum);
+    if (existing) {
+        gAnnotations.bookmarks = gAnnotations.bookmarks.filter(b => b !== existing);
+    } else {
+        gAnnotations.bookmarks.push({ id: annotationId(), page: pageNum, label: `Page ${pageNum}` });
+    }
+    annotationsChanged();
+    STATUS_DISPLAY.textContent = existing ? `Removed the bookmark on page ${pageNum}.` : `Bookmarked page ${pageNum}.`;
+}
+
+function annotationId() {
+    return Date.now().toString(36) + Math.random().toString(36).slice(2, 6);
+}
+
+/**
+ * Reads the annotations stored for a document (`key`: its fingerprint)
+ */
+function loadAnnotations(key) {
+    gAnnotationsKey = ANNOTATIONS_STORAGE_PREFIX + key;
+    try {
+        const stored = JSON.parse(localStorage.getItem(gAnnotationsKey)) || {};
+        gAnnotations = { highlights: stored.highlights || [], bookmarks: stored.bookmarks || [] };
+    } catch (err) {
+        console.warn("Ignoring unreadable annotations:", err);
+        gAnnotations = { highlights: [], bookmarks: [] };
+    }
+    renderAnnotationList();
+    updateBookmarkMarks();
+}
+
+/**
+ * Stores the annotations and redraws them everywhere
+ */
+function annotationsChanged() {
+    try {
+        if (gAnnotations.highlights.length === 0 && gAnnotations.bookmarks.length === 0) localStorage.removeItem(gAnnotationsKey);
+        else localStorage.setItem(gAnnotationsKey, JSON.stringify(gAnnotations));
+    } catch (err) {
+        console.error("Could not save annotations:", err);
+        STATUS_DISPLAY.textContent = `Could not save annotations: ${err.message}`;
+    }
+    PDF_CONTAINER.querySelectorAll('.annotation').forEach(el => el.remove());
+    for (const pageNum of renderedPages) {
+        const wrapper = document.getElementById(`page-${pageNum}`);
+        const viewport = pageViewports.get(pageNum);
+        if (wrapper && viewport) drawPageAnnotations(wrapper, viewport, pageNum);
+    }
+    renderAnnotationList();
+    updateBookmarkMarks();
+}
+
+/**
+ * Draws the saved highlights of one page (called by renderPage)
+ */
+function drawPageAnnotations(pageWrapper, viewport, pageNum) {
+    for (const highlight of gAnnotations.highlights) {
+        for (const { page, rect } of highlight.rects) {
+            if (page !== pageNum) continue;
+            const [left, top, right, bottom] = viewport.convertToViewportRectangle(rect);
+            const el = document.createElement('div');
+            el.className = 'annotation';
+            el.style.left = `${Math.min(left, right)}px`;
+            el.style.top = `${Math.min(top, bottom)}px`;
+            el.style.width = `${Math.abs(right - left)}px`;
+            el.style.height = `${Math.abs(bottom - top)}px`;
+            el.style.backgroundColor = ANNOTATION_COLORS[highlight.color] || ANNOTATION_COLORS.yellow;
+            pageWrapper.appendChild(el);
+        }
+    }
+}
+
+/**
+ * Marks bookmarked pages, their thumbnails and the bookmark button for the page in view
+ */
+function updateBookmarkMarks() {
+    const pages = new Set(gAnnotations.bookmarks.map(b => b.page));
+    PDF_CONTAINER.querySelectorAll('.page-wrapper').forEach(el => el.classList.toggle('bookmarked', pages.has(parseInt(el.dataset.page, 10))));
+    if (THUMBNAIL_PANEL) {
+        THUMBNAIL_PANEL.querySelectorAll('.thumbnail').forEach(el => el.classList.toggle('bookmarked', pages.has(parseInt(el.dataset.page, 10))));
+    }
+    if (BTN_BOOKMARK) {
+        BTN_BOOKMARK.classList.toggle('active', pages.has(gCurrentPage));
+        BTN_BOOKMARK.title = pages.has(gCurrentPage) ? 'Remove the bookmark on this page' : 'Bookmark the page in view';
+    }
+}
+
+/**
+ * Lists bookmarks and highlights in the sidebar, in page order
+ */
+function renderAnnotationList() {
+    if (!ANNOTATION_PANEL) return;
+    const { highlights, bookmarks } = gAnnotations;
+    if (highlights.length === 0 && bookmarks.length === 0) {
+        ANNOTATION_PANEL.innerHTML = '<p class="sidebar-note">Select text to highlight it, or bookmark a page with 🔖. They are saved in this browser.</p>';
+        return;
+    }
+    const topOf = (h) => ({ page: h.rects[0].page, top: h.rects[0].rect[3] });
+    const sorted = highlights.slice().sort((a, b) => comparePositions(topOf(a), topOf(b)));
+    ANNOTATION_PANEL.innerHTML = [
+        bookmarks.length > 0 ? '<h4 class="annotation-heading">Bookmarks</h4>' : '',
+        ...bookmarks.slice().sort((a, b) => a.page - b.page).map(b => `<div class="annotation-item" data-id="${b.id}">
+            <button class="annotation-open">🔖 ${escapeHtml(b.label)}</button>
+            <button class="annotation-edit" title="Rename">✎</button>
+            <button class="annotation-delete" title="Remove">✕</button>
+        </div>`),
+        sorted.length > 0 ? '<h4 class="annotation-heading">Highlights</h4>' : '',
+        ...sorted.map(h => `<div class="annotation-item" data-id="${h.id}">
+            <button class="annotation-open">
+                <span class="annotation-swatch" style="background-color:${ANNOTATION_COLORS[h.color] || ANNOTATION_COLORS.yellow}"></span>
+                p. ${h.rects[0].page} — “${escapeHtml(h.text.length > 120 ? h.text.slice(0, 117) + '…' : h.text)}”
+                ${h.note ? `<span class="annotation-note">${escapeHtml(h.note)}</span>` : ''}
+            </button>
+            <button class="annotation-edit" title="Edit note">✎</button>
+            <button class="annotation-delete" title="Delete">✕</button>
+        </div>`)
+    ].join('');
+
+    ANNOTATION_PANEL.querySelectorAll('.annotation-item').forEach(item => {
+        const id = item.dataset.id;
+        const bookmark = bookmarks.find(b => b.id === id);
+        const highlight = highlights.find(h => h.id === id);
+        item.querySelector('.annotation-open').addEventListener('click', () => {
+            if (bookmark) goToPage(bookmark.page);
+            else scrollToPosition(topOf(highlight).page, topOf(highlight).top);
+        });
+        item.querySelector('.annotation-edit').addEventListener('click', () => {
+            const value = window.prompt(bookmark ? 'Bookmark name:' : 'Note:', bookmark ? bookmark.label : highlight.note);
+            if (value == null) return;
+            if (bookmark) bookmark.label = value.trim() || `Page ${bookmark.page}`;
+            else highlight.note = value.trim();
+            annotationsChanged();
+        });
+        item.querySelector('.annotation-delete').addEventListener('click', () => {
+            gAnnotations.bookmarks = bookmarks.filter(b => b !== bookmark);
+            gAnnotations.highlights = highlights.filter(h => h !== highlight);
+            annotationsChanged();
+        });
+    });
+}
+
+// --- Navigation helpers ---
+
+/**
+ * Scrolls to a spot on a page given in PDF units (`top` is a PDF y), or to the page's top
+ */
+async function scrollToPosition(pageNum, top) {
+    if (top == null || !pageBaseViewports.has(pageNum)) return scrollToPage(pageNum);
+    await ensurePageRendered(pageNum);
+    const el = document.getElementById(`page-${pageNum}`);
+    if (!el) return;
+    const [, y] = pageBaseViewports.get(pageNum).convertToViewportPoint(0, top);
+    window.scrollTo({ top: window.scrollY + el.getBoundingClientRect().top + y * gScale - headerBottom(), behavior: 'smooth' });
+}
+
+async function scrollToPage(pageNum) {
+    if (!gPdf) return;
+    await ensurePageRendered(pageNum);
+    const id = `page-${pageNum}`;
+    const el = document.getElementById(id);
+    if (el) {
+        el.scrollIntoView({ behavior: 'smooth', block: 'start' });
+    }
+}
+
+/**
+ * Wires the page number input, Prev/Next and Home/End/PageUp/PageDown, all relative
+ * to the page in view (gCurrentPage)
+ */
+function wireNavigation() {
+    if (!PAGE_NUMBER_INPUT) return;
+    const getVal = () => parseInt(PAGE_NUMBER_INPUT.value || '1', 10) || 1;
+    if (BTN_PREV) BTN_PREV.addEventListener('click', () => goToPage(gCurrentPage - 1));
+    if (BTN_NEXT) BTN_NEXT.addEventListener('click', () => goToPage(gCurrentPage + 1));
+    if (BTN_GO) BTN_GO.addEventListener('click', () => goToPage(getVal()));
+    PAGE_NUMBER_INPUT.addEventListener('keydown', (e) => {
+        if (e.key === 'Enter') goToPage(getVal());
+    });
+    // Typed but not submitted: show the page in view again
+    PAGE_NUMBER_INPUT.addEventListener('blur', () => { PAGE_NUMBER_INPUT.value = String(gCurrentPage); });
+
+    window.addEventListener('keydown', (e) => {
+        if (!gPdf || e.ctrlKey || e.metaKey || e.altKey) return;
+        if (e.target.closest && e.target.closest('input, textarea, select, [contenteditable]')) return;
+        const pages = { Home: 1, End: gPdf.numPages, PageUp: gCurrentPage - 1, PageDown: gCurrentPage + 1 };
+        if (!(e.key in pages)) return;
+        e.preventDefault(); // Instead of scrolling by a screen
+        goToPage(pages[e.key]);
+    });
+}
+
+/**
+ * Scrolls to a page and makes it the current page right away. Pages passed by the
+ * smooth scroll on the way are not counted, so repeated Next presses add up.
+ */
+async function goToPage(pageNum) {
+    if (!gPdf) return;
+    pageNum = Math.min(Math.max(pageNum, 1), gPdf.numPages);
+    const lock = gPageLock = {};
+    setCurrentPage(pageNum);
+    await scrollToPage(pageNum);
+    await new Promise(resolve => {
+        window.addEventListener('scrollend', resolve, { once: true });
+        setTimeout(resolve, SCROLL_SETTLE_MS);
+    });
+    if (gPageLock !== lock) return;
+    gPageLock = null;
+    updateCurrentPage();
+}
+
+/**
+ * Makes the visible page covering the most of the screen (below the header) the current page
+ */
+function updateCurrentPage() {
+    if (gPageLock) return;
+    const top = headerBottom();
+    let best = null;
+    let bestHeight = 0;
+    for (const pageNum of [...visiblePages].sort((a, b) => a - b)) {
+        const el = document.getElementById(`page-${pageNum}`);
+        if (!el) continue;
+        const rect = el.getBoundingClientRect();
+        const height = Math.min(rect.bottom, window.innerHeight) - Math.max(rect.top, top);
+        if (height > bestHeight) {
+            best = pageNum;
+            bestHeight = height;
+        }
+    }
+    if (best) setCurrentPage(best);
+}
+
+function setCurrentPage(pageNum) {
+    if (pageNum === gCurrentPage) return;
+    gCurrentPage = pageNum;
+    // Don't overwrite a number being typed
+    if (PAGE_NUMBER_INPUT && document.activeElement !== PAGE_NUMBER_INPUT) PAGE_NUMBER_INPUT.value = String(pageNum);
+    if (THUMBNAIL_PANEL) {
+        THUMBNAIL_PANEL.querySelectorAll('.thumbnail').forEach(el => el.classList.toggle('current', el.dataset.page === String(pageNum)));
+    }
+    updateBookmarkMarks();
+    scheduleViewHash();
+}
+
+function scheduleViewHash() {
+    clearTimeout(viewHashTimer);
+    viewHashTimer = setTimeout(updateViewHash, VIEW_HASH_DELAY_MS);
+}
+
+/**
+ * Keeps the URL hash pointing at what is on screen, in the deep link format: the
+ * current page and zoom, plus the active match's range while it is on that page.
+ * Replaces the history entry, so scrolling doesn't fill the back button.
+ */
+function updateViewHash() {
+    // A link still waiting to be followed keeps its hash
+    if (!gPdf || !gActiveDoc || gPendingTarget) return;
+    const hash = viewHashParams(gCurrentPage);
+    if (gCurrentMatch && matchPages(gCurrentMatch.item).includes(gCurrentPage)) {
+        hash.set('range', `${gCurrentMatch.item.start}-${gCurrentMatch.item.end}`);
+    }
+    if (gDocuments.length > 1) hash.set('doc', gActiveDoc.id);
+    const value = `#${hash.toString()}`;
+    if (value !== window.location.hash) history.replaceState(history.state, '', value);
+}
+
+/**
+ * Wires the zoom controls in #nav, Ctrl/Cmd + / - / 0, and refitting when the window is resized
+ */
+function wireZoom() {
+    if (ZOOM_SELECT) ZOOM_SELECT.addEventListener('change', () => setZoom(ZOOM_SELECT.value));
+    if (BTN_ZOOM_IN) BTN_ZOOM_IN.addEventListener('click', () => stepZoom(1));
+    if (BTN_ZOOM_OUT) BTN_ZOOM_OUT.addEventListener('click', () => stepZoom(-1));
+    window.addEventListener('keydown', (e) => {
+        if (!(e.ctrlKey || e.metaKey) || e.altKey) return;
+        if (e.key === '+' || e.key === '=') stepZoom(1);
+        else if (e.key === '-') stepZoom(-1);
+        else if (e.key === '0') setZoom(String(DEFAULT_ZOOM));
+        else return;
+        e.preventDefault(); // Instead of the browser's page zoom
+    });
+    let timer = null;
+    window.addEventListener('resize', () => {
+        updateHeatmap();
+        if (!FIT_MODES.includes(gZoomMode)) return;
+        clearTimeout(timer);
+        timer = setTimeout(refitZoom, SEARCH_DEBOUNCE_MS);
+    });
+    updateZoomUi();
+}
+
+/**
+ * Recomputes a fit mode after the space for the pages changed
+ */
+function refitZoom() {
+    if (FIT_MODES.includes(gZoomMode)) setZoom(gZoomMode);
+}
+
+function stepZoom(direction) {
+    const next = direction > 0
+        ? ZOOM_LEVELS.find(z => z > gScale + 0.001)
+        : ZOOM_LEVELS.slice().reverse().find(z => z < gScale - 0.001);
+    if (next) setZoom(String(next));
+}
+
+/**
+ * Switches to a zoom mode (a scale, or one of FIT_MODES) and re-lays out the pages
+ */
+function setZoom(mode) {
+    gZoomMode = mode;
+    const scale = computeZoomScale(mode);
+    const changed = Math.abs(scale - gScale) > 0.001;
+    gScale = scale;
+    updateZoomUi();
+    if (changed) applyScale();
+}
+
+/**
+ * The scale a zoom mode stands for. Fit modes use the largest page, so every page fits.
+ */
+function computeZoomScale(mode) {
+    const clamp = (scale) => Math.min(Math.max(scale, MIN_ZOOM), MAX_ZOOM);
+    if (!FIT_MODES.includes(mode)) return clamp(parseFloat(mode) || DEFAULT_ZOOM);
+    if (pageBaseViewports.size === 0) return gScale;
+
+    const bases = [...pageBaseViewports.values()];
+    const style = getComputedStyle(PDF_CONTAINER);
+    const availWidth = PDF_CONTAINER.clientWidth - parseFloat(style.paddingLeft) - parseFloat(style.paddingRight) - PAGE_CHROME;
+    const widthScale = availWidth / Math.max(...bases.map(v => v.width));
+    if (mode === 'page-width') return clamp(widthScale);
+
+    const header = document.getElementById('header');
+    const availHeight = window.innerHeight - (header ? header.offsetHeight : 0) - PAGE_GAP - PAGE_CHROME;
+    return clamp(Math.min(widthScale, availHeight / Math.max(...bases.map(v => v.height))));
+}
+
+/**
+ * Resizes every page to gScale, keeping the page at the top of the screen in place,
+ * and re-renders the visible ones (their highlights are redrawn at the new scale)
+ */
+function applyScale() {
+    if (!gPdf || pageBaseViewports.size === 0) return;
+    const anchor = getScrollAnchor();
+    [...renderedPages].forEach(releasePage);
+    for (const [pageNum, base] of pageBaseViewports) {
+        const wrapper = document.getElementById(`page-${pageNum}`);
+        if (!wrapper) continue;
+        wrapper.style.width = `${base.width * gScale}px`;
+        wrapper.style.height = `${base.height * gScale}px`;
+    }
+    restoreScrollAnchor(anchor);
+    rerenderPages();
+    updateHeatmap();
+    scheduleViewHash();
+}
+
+/**
+ * The page at the top of the screen and how far down it is scrolled (0-1)
+ */
+function getScrollAnchor() {
+    const top = headerBottom();
+    for (const wrapper of PDF_CONTAINER.querySelectorAll('.page-wrapper')) {
+        const rect = wrapper.getBoundingClientRect();
+        if (rect.bottom > top) return { wrapper, offset: (top - rect.top) / rect.height };
+    }
+    return null;
+}
+
+function restoreScrollAnchor(anchor) {
+    if (!anchor) return;
+    const rect = anchor.wrapper.getBoundingClientRect();
+    window.scrollBy(0, rect.top + anchor.offset * rect.height - headerBottom());
+}
+
+/**
+ * Bottom edge of the sticky header, in viewport coordinates
+ */
+function headerBottom() {
+    const header = document.getElementById('header');
+    return header ? Math.max(header.getBoundingClientRect().bottom, 0) : 0;
+}
+
+/**
+ * Shows the zoom in the select (fit modes with their percentage) and disables the step buttons at the ends
+ */
+function updateZoomUi() {
+    const percent = `${Math.round(gScale * 100)}%`;
+    if (ZOOM_SELECT) {
+        const labels = { 'page-width': 'Fit width', 'page-fit': 'Fit page' };
+        for (const option of ZOOM_SELECT.options) {
+            if (labels[option.value]) {
+                option.textContent = option.value === gZoomMode ? `${labels[option.value]} (${percent})` : labels[option.value];
+            }
+        }
+        // A scale that is not in the list (e.g. from a link) gets its own entry
+        const custom = ZOOM_SELECT.querySelector('option[data-custom]');
+        const listed = [...ZOOM_SELECT.options].some(o => !o.dataset.custom && o.value === gZoomMode);
+        custom.hidden = listed;
+        if (!listed) {
+            custom.value = gZoomMode;
+            custom.textContent = percent;
+        }
+        ZOOM_SELECT.value = gZoomMode;
+    }
+    if (BTN_ZOOM_IN) BTN_ZOOM_IN.disabled = gScale >= ZOOM_LEVELS[ZOOM_LEVELS.length - 1] - 0.001;
+    if (BTN_ZOOM_OUT) BTN_ZOOM_OUT.disabled = gScale <= ZOOM_LEVELS[0] + 0.001;
+}
+
+/**
+ * Render the top matches list and wire click handlers. With a collection the
+ * results are grouped by document, best document first.
+ */
+function renderResults(results) {
+    if (!RESULTS_PANEL) return;
+    if (!results || results.length === 0) {
+        RESULTS_PANEL.innerHTML = '';
+        return;
+    }
+    const listed = [];
+    const linkable = !gDocuments.some(d => d.file); // Local files cannot be linked to
+    const resultItem = (m, idx) => {
+        const scoreStr = (m.score != null) ? m.score.toFixed(3) : '0.000';
+        const textPreview = m.item.text.length > 160 ? m.item.text.slice(0, 157) + '…' : m.item.text;
+        listed.push(m);
+        return `<li>
+            <button class="result-link" data-index="${listed.length - 1}" style="all:unset; color:#0060df; cursor:pointer;">
+                ${idx + 1}. Page ${m.item.pageNum} (score ${scoreStr}) — ${escapeHtml(textPreview)}
+            </button>
+            ${linkable ? `<button class="copy-link" data-index="${listed.length - 1}" title="Copy link to this match" style="all:unset; cursor:pointer; margin-left:4px;">🔗</button>` : ''}
+            <button class="copy-citation" data-index="${listed.length - 1}" title="Copy as a Markdown citation" style="all:unset; cursor:pointer; margin-left:4px;">❝</button>
+        </li>`;
+    };
+    // Exports cover every match, not just the listed ones
+    const actions = `<span style="float:right; font-size:0.9em;">
+        Export all:
+        <button class="export-results" data-format="csv">CSV</button>
+        <button class="export-results" data-format="json">JSON</button>
+        · Cite all:
+        <button class="copy-citations" data-style="markdown">Markdown</button>
+        <button class="copy-citations" data-style="bibtex">BibTeX</button>
+    </span>`;
+
+    let html;
+    if (gDocuments.length > 1) {
+        const groups = groupResultsByDocument(results);
+        html = [
+            `<div>${actions}<strong>Top Matches in ${groups.length} of ${gDocuments.length} documents:</strong></div>`,
+            '<ul style="margin:6px 0; padding-left: 18px; max-height: 30vh; overflow-y: auto;">',
+            ...groups.map(({ doc, matches }) => `<li>
+                <strong title="${escapeHtml(doc.url)}">${escapeHtml(doc.label)}</strong>${doc === gActiveDoc ? ' (open)' : ''}
+                — ${matches.length} matches, best score ${matches[0].score.toFixed(3)}
+                <ul style="margin:2px 0 6px; padding-left: 18px;">
+                    ${matches.slice(0, MAX_LISTED_PER_DOCUMENT).map(resultItem).join('')}
+                </ul>
+            </li>`),
+            '</ul>'
+        ].join('');
+    } else {
+        html = [
+            `<div>${actions}<strong>Top Matches:</strong></div>`,
+            '<ul style="margin:6px 0; padding-left: 18px; max-height: 30vh; overflow-y: auto;">',
+            ...results.slice(0, MAX_LISTED_RESULTS).map(resultItem),
+            '</ul>'
+        ].join('');
+    }
+    RESULTS_PANEL.innerHTML = html;
+    // Wire clicks
+    RESULTS_PANEL.querySelectorAll('.result-link').forEach(btn => {
+        btn.addEventListener('click', () => openResult(listed[parseInt(btn.dataset.index, 10)]));
+    });
+    RESULTS_PANEL.querySelectorAll('.copy-link').forEach(btn => {
+        btn.addEventListener('click', () => copyMatchLink(listed[parseInt(btn.dataset.index, 10)], results));
+    });
+    RESULTS_PANEL.querySelectorAll('.copy-citation').forEach(btn => {
+        btn.addEventListener('click', () => copyCitations([listed[parseInt(btn.dataset.index, 10)]], 'markdown'));
+    });
+    RESULTS_PANEL.querySelectorAll('.export-results').forEach(btn => {
+        btn.addEventListener('click', () => exportResults(results, btn.dataset.format));
+    });
+    RESULTS_PANEL.querySelectorAll('.copy-citations').forEach(btn => {
+        btn.addEventListener('click', () => copyCitations(results, btn.dataset.style));
+    });
+}
+
+/**
+ * Splits best-first results into per-document groups, ordered by each document's best score
+ */
+function groupResultsByDocument(results) {
+    const groups = new Map();
+    for (const result of results) {
+        const doc = gDocuments.find(d => d.id === result.item.docId);
+        if (!doc) continue;
+        if (!groups.has(doc)) groups.set(doc, { doc, matches: [] });
+        groups.get(doc).matches.push(result);
+    }
+    return [...groups.values()];
+}
+
+/**
+ * Steps to a result in the open document, or opens its document at that match
+ */
+function openResult(match) {
+    if (gActiveDoc && match.item.docId === gActiveDoc.id) {
+        const index = findMatchIndex(gMatches, match);
+        if (index >= 0) setActiveMatch(index);
+        return;
+    }
+    const doc = gDocuments.find(d => d.id === match.item.docId);
+    if (!doc) return;
+    gPendingTarget = { docId: doc.id, range: { start: match.item.start, end: match.item.end } };
+    STATUS_DISPLAY.textContent = `Opening ${doc.label}...`;
+    openDocument(doc);
+}
+
+/**
+ * Position of `match` in `matches`, compared by document and range: lists re-rendered
+ * by refreshCollectionResults hold fresh copies of the objects in gMatches
+ */
+function findMatchIndex(matches, match) {
+    const { docId, start, end } = match.item;
+    return matches.findIndex(m => m.item.docId === docId && m.item.start === start && m.item.end === end);
+}
+
+/**
+ * Reads a deep link from the URL hash. Follows the Adobe open parameters where they
+ * exist, `&`-separated: page=12, zoom=150 (percent, optionally zoom=150,left,top),
+ * view=Fit / FitH. Our own additions: match=3 (the 3rd match in reading order),
+ * range=1200-1260 (exact character range in the document's text), doc=doc-2 (which
+ * document of a collection). Returns the valid parts only.
+ */
+function getUrlTarget() {
+    const params = new URLSearchParams(window.location.hash.slice(1));
+    const int = (name) => {
+        const value = parseInt(params.get(name), 10);
+        return Number.isFinite(value) && value >= 1 ? value : null;
+    };
+    const target = {};
+    if (int('page')) target.page = int('page');
+    if (int('match')) target.match = int('match');
+    const range = /^(\d+)-(\d+)$/.exec(params.get('range') || '');
+    if (range && Number(range[2]) > Number(range[1])) target.range = { start: Number(range[1]), end: Number(range[2]) };
+    if (params.get('doc')) target.docId = params.get('doc');
+
+    const zoom = parseFloat((params.get('zoom') || '').split(',')[0]);
+    const view = (params.get('view') || '').split(',')[0];
+    if (zoom > 0) target.zoom = String(zoom / 100);
+    else if (view === 'Fit') target.zoom = 'page-fit';
+    else if (view === 'FitH' || view === 'FitBH') target.zoom = 'page-width';
+    return target;
+}
+
+/**
+ * Follows links edited into the address bar (or pasted over the current page)
+ */
+function wireDeepLinks() {
+    window.addEventListener('hashchange', () => {
+        // The search changed too: the popstate handler follows the link once it is done
+        if (historySearch) return;
+        followUrlTarget(getUrlTarget());
+    });
+}
+
+/**
+ * Shows a link target (see getUrlTarget) in the current search's matches, opening
+ * its document first if need be
+ */
+async function followUrlTarget(target) {
+    if (target.zoom) setZoom(target.zoom);
+    const doc = gDocuments.find(d => d.id === target.docId) || gActiveDoc;
+    if (!doc) return;
+    if (doc !== gActiveDoc || !gCorpusReady) {
+        gPendingTarget = { ...target, docId: doc.id };
+        if (doc !== gActiveDoc) openDocument(doc);
+        return;
+    }
+    const index = await findTargetMatch(target);
+    if (index >= 0) setActiveMatch(index);
+    else if (target.page) scrollToPage(Math.min(target.page, gPdf ? gPdf.numPages : 1));
+}
+
+/**
+ * Index in gMatches of the match a link points at: its exact character range,
+ * else its match number; -1 if none. A range the current search did not find is
+ * added as a match of its own, so the link still highlights the passage.
+ */
+async function findTargetMatch(target) {
+    if (target.range) {
+        const { start, end } = target.range;
+        const index = gMatches.findIndex(m => m.item.start === start && m.item.end === end);
+        if (index >= 0) return index;
+        const { item } = await callSearchWorker({ type: 'range', docId: gActiveDoc.id, start, end });
+        if (item) {
+            item.docId = gActiveDoc.id;
+            const match = { item, score: null };
+            gMatches = gMatches.concat(match).sort((a, b) => a.item.start - b.item.start);
+            return gMatches.indexOf(match);
+        }
+    }
+    if (target.match && target.match <= gMatches.length) return target.match - 1;
+    return -1;
+}
+
+/**
+ * A link that reopens the viewer on `match`: the current query string (PDF URLs,
+ * search text and options) plus a hash with its page, the zoom, its number among
+ * its document's matches, its character range and, in a collection, its document.
+ */
+function buildMatchLink(match, results) {
+    const url = new URL(window.location.href);
+    const docMatches = match.item.docId === gActiveDoc.id
+        ? gMatches
+        : results.filter(r => r.item.docId === match.item.docId).sort((a, b) => a.item.start - b.item.start);
+    const hash = viewHashParams(match.item.pageNum);
+    const index = findMatchIndex(docMatches, match);
+    if (index >= 0) hash.set('match', String(index + 1));
+    hash.set('range', `${match.item.start}-${match.item.end}`);
+    if (gDocuments.length > 1) hash.set('doc', match.item.docId);
+    url.hash = hash.toString();
+    return url.href;
+}
+
+/**
+ * The page and zoom part of a deep link
+ */
+function viewHashParams(pageNum) {
+    const hash = new URLSearchParams();
+    hash.set('page', String(pageNum));
+    if (FIT_MODES.includes(gZoomMode)) hash.set('view', gZoomMode === 'page-fit' ? 'Fit' : 'FitH');
+    else hash.set('zoom', String(Math.round(gScale * 100)));
+    return hash;
+}
+
+function copyMatchLink(match, results) {
+    return copyText(buildMatchLink(match, results), `Copied a link to the match on page ${match.item.pageNum}.`, 'Copy this link:');
+}
+
+async function copyText(text, doneMessage, promptLabel) {
+    try {
+        await navigator.clipboard.writeText(text);
+        STATUS_DISPLAY.textContent = doneMessage;
+    } catch (error) {
+        // Clipboard access denied (or not a secure context): let the user copy it
+        window.prompt(promptLabel, text);
+    }
+}
+
+// --- Export ---
+
+/**
+ * Export records (see results-export.js) for matches from any document of the collection
+ */
+async function exportRecords(matches) {
+    const { contexts } = await callSearchWorker({
+        type: 'context',
+        matches: matches.map(m => ({ docId: m.item.docId, start: m.item.start, end: m.item.end })),
+        chars: EXPORT_CONTEXT_CHARS
+    });
+    const round = (n) => Math.round(n * 100) / 100;
+    return matches.map((m, i) => {
+        const doc = gDocuments.find(d => d.id === m.item.docId);
+        const box = matchBoundingBox(m.item);
+        return {
+            document: doc ? doc.label : '',
+            url: doc && !doc.file ? new URL(doc.url, window.location.href).href : '', // Local files have none
+            page: m.item.pageNum,
+            score: m.score != null ? Number(m.score.toFixed(4)) : null,
+            match: contexts[i] ? contexts[i].match : m.item.text,
+            line: m.item.text,
+            context: contexts[i] ? contexts[i].context : m.item.text,
+            x: round(box.x),
+            y: round(box.y),
+            width: round(box.width),
+            height: round(box.height),
+            start: m.item.start,
+            end: m.item.end
+        };
+    });
+}
+
+/**
+ * Box around the matched characters on the match's first page, in PDF units
+ */
+function matchBoundingBox(matchItem) {
+    const lines = (matchItem.lines || [matchItem]).filter(l => l.pageNum === matchItem.pageNum);
+    const rects = lines.flatMap(line => matchRectsForLine(line, matchItem));
+    if (rects.length === 0) return { x: matchItem.x, y: matchItem.y, width: matchItem.width, height: matchItem.height };
+    const x0 = Math.min(...rects.map(r => r.x));
+    const y0 = Math.min(...rects.map(r => r.y));
+    const x1 = Math.max(...rects.map(r => r.x + r.width));
+    const y1 = Math.max(...rects.map(r => r.y + r.height));
+    return { x: x0, y: y0, width: x1 - x0, height: y1 - y0 };
+}
+
+/**
+ * Downloads every match of the current search as `format` 'csv' or 'json'
+ */
+async function exportResults(results, format) {
+    try {
+        const records = await exportRecords(results);
+        const filename = exportFileName(gLastSearchTerm, format);
+        if (format === 'json') {
+            const meta = { query: gLastSearchTerm, options: getSearchOptions(), exported: new Date().toISOString() };
+            downloadText(filename, recordsToJson(records, meta), 'application/json');
+        } else {
+            downloadText(filename, recordsToCsv(records), 'text/csv');
+        }
+        STATUS_DISPLAY.textContent = `Exported ${records.length} matches to ${filename}.`;
+    } catch (error) {
+        console.error("Export failed:", error);
+        STATUS_DISPLAY.textContent = `Export failed: ${error.message}`;
+    }
+}
+
+/**
+ * Copies references to `matches` in `style` 'markdown' or 'bibtex'
+ */
+async function copyCitations(matches, style) {
+    try {
+        const citations = formatCitations(await exportRecords(matches), style);
+        const what = matches.length === 1 ? `a citation for the match on page ${matches[0].item.pageNum}` : `${matches.length} citations`;
+        await copyText(citations, `Copied ${what}.`, 'Copy these citations:');
+    } catch (error) {
+        console.error("Citation failed:", error);
+        STATUS_DISPLAY.textContent = `Could not create citations: ${error.message}`;
+    }
+}
+
+function escapeHtml(str) {
+    return str.replace(/[&<>"]/g, (ch) => ({ '&': '&amp;', '<': '&lt;', '>': '&gt;', '"': '&quot;' }[ch]));
+}
+
+
+/**
+ * Pages touched by a match item, in document order
+ */
+function matchPages(matchItem) {
+    const lines = matchItem.lines || [matchItem];
+    return [...new Set(lines.map(l => l.pageNum))];
+}
+
+/**
+ * Clears all highlights and redraws the matches on every rendered page, the
+ * thumbnails and the heatmap
+ */
+function refreshHighlights() {
+    PDF_CONTAINER.querySelectorAll('.highlight').forEach(el => el.remove());
+    for (const pageNum of renderedPages) {
+        const wrapper = document.getElementById(`page-${pageNum}`);
+        const viewport = pageViewports.get(pageNum);
+        if (wrapper && viewport) highlightPageMatches(wrapper, viewport, pageNum);
+    }
+    updateThumbnailMarkers();
+    updateHeatmap();
+}
+
+/**
+ * Highlights every match touching one page (a match may span a page break),
+ * marking the active one
+ */
+function highlightPageMatches(pageWrapper, viewport, pageNum) {
+    gMatches.forEach((match, index) => {
+        if (!matchPages(match.item).includes(pageNum)) return;
+        highlightMatch(pageWrapper, viewport, match.item, pageNum, index === gActiveMatchIndex);
+    });
+}
+
+/**
+ * PDF-space rectangles covering exactly the matched characters of one line.
+ * Falls back to the whole line when it carries no per-item segments.
+ */
+function matchRectsForLine(line, matchItem) {
+    if (!line.segments || matchItem.start == null) {
+        return [{ x: line.x, y: line.y, width: line.width, height: line.height }];
+    }
+    const from = Math.max(matchItem.start - line.start, 0);
+    const to = Math.min(matchItem.end - line.start, line.text.length);
+    const rects = [];
+    for (const seg of line.segments) {
+        const segEnd = seg.start + seg.raw.length - seg.skip;
+        const a = Math.max(from, seg.start);
+        const b = Math.min(to, segEnd);
+        if (a >= b) continue;
+        const x0 = seg.x + glyphOffset(seg, a - seg.start);
+        const x1 = seg.x + glyphOffset(seg, b - seg.start);
+        rects.push({ x: x0, y: seg.y, width: x1 - x0, height: seg.height });
+    }
+    return rects;
+}
+
+/**
+ * Creates and appends a <div> per matched run of characters to highlight the match on one page
+ */
+function highlightMatch(pageWrapper, viewport, matchItem, pageNum, isActive = false) {
+    const lines = (matchItem.lines || [matchItem]).filter(l => l.pageNum === pageNum);
+    const rects = lines.flatMap(line => matchRectsForLine(line, matchItem));
+
+    for (const { x, y, width, height } of rects) {
+        // Use viewport rectangle conversion for correct top-left CSS positioning
+        const rect = viewport.convertToViewportRectangle([x, y, x + width, y + height]);
+        const left = Math.min(rect[0], rect[2]);
+        const top = Math.min(rect[1], rect[3]);
+        const w = Math.abs(rect[0] - rect[2]);
+        const h = Math.abs(rect[1] - rect[3]);
+
+        const highlight = document.createElement('div');
+        highlight.className = isActive ? 'highlight active' : 'highlight';
+        highlight.style.left = `${left}px`;
+        highlight.style.top = `${top}px`;
+        highlight.style.width = `${w}px`;
+        highlight.style.height = `${h}px`;
+
+        pageWrapper.appendChild(highlight);
+    }
 }
@@ -0,0 +1,55 @@
+// === FUZZY PDF FINDER EXTENSION ===
+// Context menu entries that open the viewer on the current PDF (or a linked one)
+// with the selected text, in the same `pdfurl` / `text` format as the bookmarklet.
+// The viewer's address is set on the options page.
+
+const MENU_FIND_SELECTION = 'find-selection-in-pdf';
+const MENU_SEARCH_LINK = 'search-linked-pdf';
+const PDF_LINK_PATTERNS = ['*://*/*.pdf', '*://*/*.pdf?*', '*://*/*.PDF', '*://*/*.PDF?*'];
+
+chrome.runtime.onInstalled.addListener(() => {
+    chrome.contextMenus.create({
+        id: MENU_FIND_SELECTION,
+        title: 'Find selected text in PDF…',
+        contexts: ['selection']
+    });
+    chrome.contextMenus.create({
+        id: MENU_SEARCH_LINK,
+        title: 'Search linked PDF…',
+        contexts: ['link'],
+        targetUrlPatterns: PDF_LINK_PATTERNS
+    });
+});
+
+chrome.contextMenus.onClicked.addListener(async (info, tab) => {
+    const { viewerUrl } = await chrome.storage.sync.get('viewerUrl');
+    if (!viewerUrl) {
+        chrome.runtime.openOptionsPage();
+        return;
+    }
+
+    let pdfUrl;
+    if (info.menuItemId === MENU_SEARCH_LINK) {
+        pdfUrl = info.linkUrl;
+    } else {
+        // A PDF shown in a frame has its own URL; otherwise it is the tab's
+        pdfUrl = info.frameUrl || info.pageUrl || (tab && tab.url);
+    }
+    if (!pdfUrl) return;
+
+    chrome.tabs.create({
+        url: buildViewerUrl(viewerUrl, pdfUrl, info.selectionText),
+        index: tab ? tab.index + 1 : undefined
+    });
+});
+
+/**
+ * The viewer address for a PDF and text. Both are encoded exactly once,
+ * which is what the viewer expects.
+ */
+function buildViewerUrl(viewerUrl, pdfUrl, text) {
+    const separator = viewerUrl.includes('?') ? '&' : '?';
+    const query = 'pdfurl=' + encodeURIComponent(pdfUrl) +
+        (text && text.trim() ? '&text=' + encodeURIComponent(text.trim()) : '');
+    return viewerUrl + separator + query;
+}
@@ -0,0 +1,25 @@
+// Options page: the address of the viewer the context menu entries open
+
+const VIEWER_URL_INPUT = document.getElementById('viewer-url');
+const SAVE_BUTTON = document.getElementById('save');
+const SAVED_NOTE = document.getElementById('saved');
+
+(async function main() {
+    const { viewerUrl } = await chrome.storage.sync.get('viewerUrl');
+    VIEWER_URL_INPUT.value = viewerUrl || '';
+    VIEWER_URL_INPUT.addEventListener('input', () => VIEWER_URL_INPUT.setCustomValidity(''));
+
+    SAVE_BUTTON.addEventListener('click', async () => {
+        const value = VIEWER_URL_INPUT.value.trim();
+        try {
+            new URL(value);
+        } catch (err) {
+            VIEWER_URL_INPUT.setCustomValidity('Enter a full address, starting with https://');
+            VIEWER_URL_INPUT.reportValidity();
+            return;
+        }
+        await chrome.storage.sync.set({ viewerUrl: value });
+        SAVED_NOTE.hidden = false;
+        setTimeout(() => { SAVED_NOTE.hidden = true; }, 1500);
+    });
+})();
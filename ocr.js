@@ -0,0 +1,114 @@
+// === OCR ===
+// Fallback for scanned pages, which have no text layer: the page is rendered to a
+// canvas and read by Tesseract (bundled in lib/tesseract, so it works offline).
+// Recognized words come back as pdf.js-style text items, so line building, search
+// and highlighting treat them like any other text.
+//
+// Only the baseline LSTM build of the engine and the English `best_int` model are
+// bundled, to keep lib/ small; the engine is loaded the first time a page needs it.
+
+const OCR_LIB_PATH = 'lib/tesseract/';
+const OCR_LANGUAGE = 'eng';
+const OCR_SCALE = 2;           // Render scale for recognition (~144 dpi); small print needs it
+const OCR_MIN_CONFIDENCE = 30; // Words Tesseract is less sure about (0-100) are mostly noise
+const OCR_FONT = 'ocr';        // fontName of recognized items
+
+let ocrWorkerPromise = null;
+
+/**
+ * True when pdf.js found any text on the page
+ */
+function hasTextItems(textContent) {
+    return textContent.items.some(item => item.str && item.str.trim().length > 0);
+}
+
+/**
+ * Recognizes the text of a pdf.js page. Resolves with { items, styles } shaped like
+ * `page.getTextContent()`: one item per word, in PDF coordinates.
+ */
+async function recognizePageText(page) {
+    const worker = await getOcrWorker();
+    const viewport = page.getViewport({ scale: OCR_SCALE });
+    const canvas = document.createElement('canvas');
+    canvas.width = Math.ceil(viewport.width);
+    canvas.height = Math.ceil(viewport.height);
+    try {
+        await page.render({ canvasContext: canvas.getContext('2d'), viewport }).promise;
+        const { data } = await worker.recognize(canvas, {}, { blocks: true });
+        return {
+            items: ocrItems(data.blocks || [], viewport),
+            styles: { [OCR_FONT]: { fontFamily: 'sans-serif' } }
+        };
+    } finally {
+        // Pages can be large at this scale
+        freeCanvas(canvas);
+    }
+}
+
+/**
+ * The shared Tesseract worker, created on first use
+ */
+function getOcrWorker() {
+    if (!ocrWorkerPromise) {
+        // The engine resolves these from inside its own worker, so they must be absolute
+        const base = new URL(OCR_LIB_PATH, document.baseURI).href;
+        ocrWorkerPromise = loadScript(base + 'tesseract.min.js').then(() =>
+            Tesseract.createWorker(OCR_LANGUAGE, Tesseract.OEM.LSTM_ONLY, {
+                workerPath: base + 'worker.min.js',
+                corePath: base + 'tesseract-core-lstm.wasm.js',
+                langPath: base + 'lang',
+                workerBlobURL: false,
+                cacheMethod: 'none' // The model is a local file already
+            })
+        );
+        // Let a later page try again
+        ocrWorkerPromise.catch(() => { ocrWorkerPromise = null; });
+    }
+    return ocrWorkerPromise;
+}
+
+function loadScript(src) {
+    return new Promise((resolve, reject) => {
+        const script = document.createElement('script');
+        script.src = src;
+        script.onload = () => resolve();
+        script.onerror = () => reject(new Error(`Could not load ${src}`));
+        document.head.appendChild(script);
+    });
+}
+
+/**
+ * One text item per confidently recognized word. Words take their line's bottom
+ * and height, so buildPageLines puts them back on one row.
+ */
+function ocrItems(blocks, viewport) {
+    const items = [];
+    for (const block of blocks) {
+        for (const paragraph of block.paragraphs) {
+            for (const line of paragraph.lines) {
+                const lineBox = pdfRect(line.bbox, viewport);
+                for (const word of line.words) {
+                    if (!word.text.trim() || word.confidence < OCR_MIN_CONFIDENCE) continue;
+                    const box = pdfRect(word.bbox, viewport);
+                    items.push({
+                        str: word.text,
+                        transform: [lineBox.height, 0, 0, lineBox.height, box.x, lineBox.y],
+                        width: box.width,
+                        height: lineBox.height,
+                        fontName: OCR_FONT
+                    });
+                }
+            }
+        }
+    }
+    return items;
+}
+
+/**
+ * Converts a Tesseract pixel box on the rendered page to a PDF-space rectangle
+ */
+function pdfRect(bbox, viewport) {
+    const [ax, ay] = viewport.convertToPdfPoint(bbox.x0, bbox.y0);
+    const [bx, by] = viewport.convertToPdfPoint(bbox.x1, bbox.y1);
+    return { x: Math.min(ax, bx), y: Math.min(ay, by), width: Math.abs(bx - ax), height: Math.abs(by - ay) };
+}
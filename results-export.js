@@ -0,0 +1,103 @@
+// === RESULTS EXPORT ===
+// Takes search results out of the viewer: CSV and JSON downloads with one record
+// per match, and Markdown or BibTeX-style references with page numbers. Records
+// are plain objects built by exportRecords() in custom-logic.js:
+//   { document, url, page, score, match, line, context, x, y, width, height, start, end }
+// `match` is the matched text, `line` the whole line(s) it is on, `context` the text
+// around it; x/y/width/height are its box on `page` in PDF points (origin bottom left).
+
+const EXPORT_FIELDS = ['document', 'url', 'page', 'score', 'match', 'line', 'context', 'x', 'y', 'width', 'height', 'start', 'end'];
+
+function recordsToCsv(records) {
+    const rows = [EXPORT_FIELDS, ...records.map(record => EXPORT_FIELDS.map(field => record[field]))];
+    return rows.map(row => row.map(csvCell).join(',')).join('\r\n') + '\r\n';
+}
+
+function csvCell(value) {
+    if (value == null) return '';
+    let str = String(value);
+    // Text from the PDF must not turn into a formula when opened in a spreadsheet
+    if (typeof value === 'string' && /^[=+\-@]/.test(str)) str = `'${str}`;
+    return /[",\r\n]/.test(str) ? `"${str.replace(/"/g, '""')}"` : str;
+}
+
+/**
+ * The records wrapped with what produced them (`meta`: query, options, date)
+ */
+function recordsToJson(records, meta) {
+    return JSON.stringify({ ...meta, matches: records }, null, 2);
+}
+
+/**
+ * One reference per record, in `style` 'markdown' (a list item quoting the match)
+ * or 'bibtex' (a @misc entry per match, with unique keys)
+ */
+function formatCitations(records, style) {
+    if (style === 'bibtex') {
+        const keys = new Set();
+        return records.map(record => {
+            const base = bibtexKey(record);
+            let key = base;
+            for (let i = 2; keys.has(key); i++) key = `${base}_${i}`;
+            keys.add(key);
+            return formatBibtex(record, key);
+        }).join('\n\n');
+    }
+    return records.map(formatMarkdownCitation).join('\n');
+}
+
+function formatMarkdownCitation(record) {
+    const quote = record.match.replace(/\s+/g, ' ').trim();
+    const title = record.document.replace(/([\[\]])/g, '\\$1');
+    const source = record.url ? `[${title}](${pageUrl(record)})` : `*${title}*`;
+    return `- "${quote}" — ${source}, p. ${record.page}`;
+}
+
+function formatBibtex(record, key) {
+    const fields = [
+        ['title', `{${bibtexEscape(record.document)}}`],
+        record.url ? ['url', `{${pageUrl(record)}}`] : null,
+        ['pages', `{${record.page}}`],
+        ['note', `{Quote: \`\`${bibtexEscape(record.match.replace(/\s+/g, ' ').trim())}''}`]
+    ].filter(Boolean);
+    return `@misc{${key},\n${fields.map(([name, value]) => `  ${name} = ${value}`).join(',\n')}\n}`;
+}
+
+/**
+ * The document URL opened at the record's page (PDF open parameters)
+ */
+function pageUrl(record) {
+    return `${record.url.split('#')[0]}#page=${record.page}`;
+}
+
+function bibtexKey(record) {
+    const name = record.document.replace(/\.pdf$/i, '').toLowerCase().replace(/[^a-z0-9]+/g, '_').replace(/^_+|_+$/g, '');
+    return `${name || 'document'}_p${record.page}`;
+}
+
+function bibtexEscape(str) {
+    return str.replace(/[\\{}]/g, '').replace(/([&%$#_])/g, '\\$1');
+}
+
+/**
+ * A file name for an export of the matches of `query`
+ */
+function exportFileName(query, extension) {
+    const slug = (query || '').toLowerCase().replace(/[^a-z0-9]+/g, '-').replace(/^-+|-+$/g, '').slice(0, 40);
+    return `matches${slug ? `-${slug}` : ''}.${extension}`;
+}
+
+/**
+ * Saves `text` as a file through the browser's download
+ */
+function downloadText(filename, text, mimeType) {
+    const url = URL.createObjectURL(new Blob([text], { type: mimeType }));
+    const link = document.createElement('a');
+    link.href = url;
+    link.download = filename;
+    document.body.appendChild(link);
+    link.click();
+    link.remove();
+    // Give the download a moment to start before the URL goes away
+    setTimeout(() => URL.revokeObjectURL(url), 1000);
+}
@@ -0,0 +1,698 @@
+// === SEARCH CORE ===
+// Line reconstruction and fuzzy matching. Loaded by the search worker
+// (search-worker.js), so nothing here may touch the DOM.
+
+const MAX_WINDOW_LINES = 8; // Upper bound on lines stitched into one search window
+const INDEX_BUCKET = 32;    // Window sizes are rounded up so similar queries share an index
+const MAX_RESULTS = 1000;
+
+// Layout analysis
+const ROW_TOLERANCE = 3;            // Items whose baselines differ by this much share a row
+const MIN_GUTTER_WIDTH = 8;         // Narrowest gap between items (PDF units) that may be a gutter
+const MIN_COLUMN_WIDTH = 60;        // Narrower "columns" are bullets, numbering or margin notes
+const MIN_COLUMN_ROWS = 3;          // Rows that must show the gap before it counts as a gutter
+const PARAGRAPH_GAP_RATIO = 1.8;    // Baseline gap, in line heights, that separates paragraphs
+
+/**
+ * Search modes:
+ *   fuzzy    - Fuse.js fuzzy matching (the default)
+ *   exact    - literal text
+ *   word     - literal text that starts and ends on word boundaries
+ *   regex    - JavaScript regular expression
+ *   extended - Fuse.js extended search syntax ('exact ^prefix suffix$ !not a | b)
+ */
+const SEARCH_MODES = ['fuzzy', 'exact', 'word', 'regex', 'extended'];
+
+/**
+ * Defaults for the options accepted by searchCorpus. The numeric ones and
+ * `ignoreLocation` tune Fuse.js and only affect the fuzzy and extended modes.
+ */
+const DEFAULT_SEARCH_OPTIONS = {
+    mode: 'fuzzy',
+    ignoreCase: true,
+    threshold: 0.4,          // 0 = perfect match only, 1 = match anything
+    distance: 1000,          // How far from the window start a match may drift (unless ignoreLocation)
+    minMatchCharLength: 3,   // Shorter runs of matching characters are ignored
+    ignoreLocation: true
+};
+
+/**
+ * Groups the text items of one page into lines in reading order.
+ * `textContent` is what pdf.js `page.getTextContent()` returns (items + styles).
+ *
+ * Items are clustered into rows by baseline, then the page is checked for column
+ * gutters (vertical strips where rows consistently have a wide gap). Rows are split at the
+ * gutters and read column by column; rows that cross a gutter (titles, full-width
+ * figure captions) separate one multi-column section from the next.
+ * Each line gets `column` and `paragraphStart`.
+ */
+function buildPageLines(textContent, pageNum) {
+    const items = [];
+    for (const item of textContent.items) {
+        if (!item.str || item.str.trim().length === 0) continue;
+        const tx = item.transform;
+        const style = textContent.styles[item.fontName];
+        items.push({
+            str: item.str,
+            x: tx[4],
+            y: tx[5],
+            width: item.width || 0,
+            height: (item.height != null) ? item.height : Math.max(Math.abs(tx[3]), 10),
+            fontFamily: style ? style.fontFamily : 'sans-serif'
+        });
+    }
+
+    const rows = groupRows(items);
+    const gutters = findColumnGutters(rows);
+    const ordered = orderByColumns(rows, gutters);
+
+    const lines = [];
+    let prev = null;
+    for (const { column, items: lineItems } of ordered) {
+        const first = lineItems[0];
+        const line = { text: '', x: first.x, y: first.y, width: 0, height: 0, pageNum, column, segments: [] };
+        for (const item of lineItems) {
+            line.width = Math.max(line.width, item.x + item.width - line.x);
+            line.height = Math.max(line.height, item.height);
+            appendSegment(line, item.str, { x: item.x, y: item.y, width: item.width, height: item.height, fontFamily: item.fontFamily });
+        }
+        line.text = line.text.trimEnd();
+        if (line.text.length === 0) continue;
+
+        // A new column, or a vertical gap well beyond normal line spacing, starts a paragraph
+        line.paragraphStart = !prev || prev.column !== line.column ||
+            (prev.y - line.y) > PARAGRAPH_GAP_RATIO * Math.max(prev.height, line.height) ||
+            prev.y < line.y;
+        lines.push(line);
+        prev = line;
+    }
+    return lines;
+}
+
+/**
+ * Clusters items into rows by baseline, top of the page first; items in a row are left to right
+ */
+function groupRows(items) {
+    const sorted = items.slice().sort((a, b) => (b.y - a.y) || (a.x - b.x));
+    const rows = [];
+    let row = null;
+    for (const item of sorted) {
+        if (row && Math.abs(row.y - item.y) <= ROW_TOLERANCE) {
+            row.items.push(item);
+        } else {
+            row = { y: item.y, items: [item] };
+            rows.push(row);
+        }
+    }
+    rows.forEach(r => r.items.sort((a, b) => a.x - b.x));
+    return rows;
+}
+
+/**
+ * Finds column gutters: x-ranges where more rows have a wide gap between two
+ * items than have text, with enough rows of text on both sides. Rows that cross
+ * (a title, an abstract) only count against a gutter, they never hide it.
+ * Returns [{ from, to }] sorted left to right.
+ */
+function findColumnGutters(rows) {
+    if (rows.length < MIN_COLUMN_ROWS) return [];
+    const all = rows.flatMap(r => r.items);
+    const minX = Math.floor(Math.min(...all.map(i => i.x)));
+    const maxX = Math.ceil(Math.max(...all.map(i => i.x + i.width)));
+    if (maxX - minX < MIN_COLUMN_WIDTH * 2) return [];
+
+    // Per unit-wide strip of the page: rows with a wide gap there vs. rows with text there
+    const gapVotes = new Array(maxX - minX).fill(0);
+    const textVotes = new Array(maxX - minX).fill(0);
+    const bin = (x) => Math.min(Math.max(Math.round(x) - minX, 0), gapVotes.length);
+    for (const row of rows) {
+        row.items.forEach((item, k) => {
+            for (let b = bin(item.x); b < bin(item.x + item.width); b++) textVotes[b]++;
+            const next = row.items[k + 1];
+            if (next && next.x - (item.x + item.width) >= MIN_GUTTER_WIDTH) {
+                for (let b = bin(item.x + item.width); b < bin(next.x); b++) gapVotes[b]++;
+            }
+        });
+    }
+
+    const gutters = [];
+    let runStart = -1;
+    for (let b = 0; b <= gapVotes.length; b++) {
+        const open = b < gapVotes.length && gapVotes[b] >= MIN_COLUMN_ROWS && gapVotes[b] > textVotes[b];
+        if (open && runStart === -1) runStart = b;
+        if (!open && runStart !== -1) {
+            const gutter = { from: minX + runStart, to: minX + b };
+            runStart = -1;
+            const leftItems = all.filter(i => i.x + i.width <= gutter.from + 1);
+            const rightItems = all.filter(i => i.x >= gutter.to - 1);
+            if (leftItems.length === 0 || rightItems.length === 0) continue;
+            const leftWidth = gutter.from - Math.min(...leftItems.map(i => i.x));
+            const rightWidth = Math.max(...rightItems.map(i => i.x + i.width)) - gutter.to;
+            if (leftWidth >= MIN_COLUMN_WIDTH && rightWidth >= MIN_COLUMN_WIDTH) gutters.push(gutter);
+        }
+    }
+    return gutters;
+}
+
+/**
+ * Splits rows at the gutters and emits line fragments in reading order:
+ * within a multi-column section every column top to bottom, left column first.
+ * Returns [{ column, items }], where column is -1 for rows spanning a gutter.
+ */
+function orderByColumns(rows, gutters) {
+    if (gutters.length === 0) return rows.map(r => ({ column: 0, items: r.items }));
+
+    const columnOf = (item) => gutters.filter(g => item.x >= g.to).length;
+    // A row crosses a gutter when its text runs from one side to the other without
+    // a wide gap there. A ragged line merely reaching into the gutter does not count.
+    const crossesGutter = (items) => gutters.some(g =>
+        items.some(item => item.x < g.from) &&
+        items.some(item => item.x + item.width > g.to) &&
+        !items.some((item, k) => {
+            const next = items[k + 1];
+            return next && next.x - (item.x + item.width) >= MIN_GUTTER_WIDTH &&
+                next.x > g.from && item.x + item.width < g.to;
+        })
+    );
+
+    const ordered = [];
+    let section = [];
+    const flush = () => {
+        for (let c = 0; c <= gutters.length; c++) {
+            for (const fragment of section) {
+                if (fragment.column === c) ordered.push(fragment);
+            }
+        }
+        section = [];
+    };
+
+    for (const row of rows) {
+        if (crossesGutter(row.items)) {
+            flush();
+            ordered.push({ column: -1, items: row.items });
+            continue;
+        }
+        const byColumn = new Map();
+        for (const item of row.items) {
+            const c = columnOf(item);
+            if (!byColumn.has(c)) byColumn.set(c, []);
+            byColumn.get(c).push(item);
+        }
+        for (const [column, items] of byColumn) section.push({ column, items });
+    }
+    flush();
+    return ordered;
+}
+
+/**
+ * Appends a page's lines to the corpus, giving each its index and its offset
+ * in the stitched text (all lines joined with a single space).
+ */
+function addLinesToCorpus(corpus, lines) {
+    for (const line of lines) {
+        const prev = corpus[corpus.length - 1];
+        const start = prev ? prev.start + prev.text.length + 1 : 0;
+        corpus.push({ ...line, index: corpus.length, start });
+    }
+}
+
+/**
+ * Appends one pdf.js text item to a line, whitespace-normalized, and records
+ * where its characters landed in the line text so highlights can find them again.
+ */
+function appendSegment(line, str, geometry) {
+    const raw = str.replace(/\s+/g, ' ');
+    let skip = 0;
+    if (line.text.length > 0 && !line.text.endsWith(' ')) line.text += ' ';
+    // Collapse whitespace at the seam and never start a line with a space
+    while (skip < raw.length && raw[skip] === ' ' && (line.text.length === 0 || line.text.endsWith(' '))) skip++;
+    if (skip === raw.length) return;
+
+    line.segments.push({ ...geometry, raw, skip, start: line.text.length });
+    line.text += raw.slice(skip);
+}
+
+/**
+ * Builds overlapping search windows over consecutive lines (across page breaks too).
+ * Each window starts at one line and stitches following lines until there is room
+ * for the whole query after the first line, so a quote that wraps is still one hit.
+ * Windows hold normalized text; `start` is an offset into `norm.text`.
+ */
+function buildSearchWindows(norm, queryLength) {
+    const windows = [];
+    const count = norm.lineStarts.length;
+    for (let i = 0; i < count; i++) {
+        let j = i;
+        let extra = 0;
+        while (j + 1 < count && extra < queryLength && j - i + 1 < MAX_WINDOW_LINES) {
+            j++;
+            extra += norm.lineEnds[j] - norm.lineEnds[j - 1];
+        }
+        windows.push({
+            text: norm.text.slice(norm.lineStarts[i], norm.lineEnds[j]),
+            start: norm.lineStarts[i]
+        });
+    }
+    return windows;
+}
+
+/**
+ * Builds the stitched windows and their Fuse index for queries up to `queryLength`
+ * characters long. Indexes can be reused for any shorter query.
+ */
+function createSearchIndex(norm, queryLength) {
+    const windows = buildSearchWindows(norm, queryLength);
+    return { windows, index: Fuse.createIndex(['text'], windows) };
+}
+
+/**
+ * Returns a cached index suitable for this query, building it on first use.
+ * Search options don't change the index, so there is one per size bucket only.
+ */
+function getSearchIndex(corpus, searchTerm, cache) {
+    const bucket = Math.ceil(searchTerm.length / INDEX_BUCKET) * INDEX_BUCKET;
+    const key = `index:${bucket}`;
+    if (!cache.has(key)) cache.set(key, createSearchIndex(getNormalizedCorpus(corpus, cache), bucket));
+    return cache.get(key);
+}
+
+/**
+ * A Fuse instance over cached windows with this search's options; cheap, as it reuses the index
+ */
+function createFuse(windows, index, searchTerm, options) {
+    return new Fuse(windows, {
+        keys: ['text'],
+        threshold: options.threshold,
+        includeScore: true,
+        ignoreLocation: options.ignoreLocation,
+        minMatchCharLength: Math.min(options.minMatchCharLength, searchTerm.length),
+        distance: options.distance,
+        isCaseSensitive: !options.ignoreCase,
+        useExtendedSearch: options.mode === 'extended',
+    }, index);
+}
+
+/**
+ * Searches the corpus and returns non-overlapping matches, best first, each
+ * covering the lines the matched text spans. `options` overrides
+ * DEFAULT_SEARCH_OPTIONS. Pass the same `cache` Map between calls on one
+ * corpus to reuse indexes.
+ */
+function searchCorpus(corpus, searchTerm, options = {}, cache = new Map()) {
+    const opts = { ...DEFAULT_SEARCH_OPTIONS, ...options };
+    const norm = getNormalizedCorpus(corpus, cache);
+    const query = normalizeForSearch(searchTerm).trim();
+    if (query.length === 0 || norm.text.length === 0) return [];
+
+    let hits;
+    if (opts.mode === 'fuzzy' || opts.mode === 'extended') {
+        hits = dedupeHits(fuseHits(corpus, query, opts, cache));
+    } else {
+        const pattern = buildSearchPattern(query, opts.mode, opts.ignoreCase);
+        hits = patternHits(norm.text, pattern);
+    }
+    // Hits are in normalized text; map them back onto the original characters
+    return hits.slice(0, MAX_RESULTS).map(hit => {
+        const start = norm.srcStart[hit.start];
+        const end = norm.srcEnd[hit.end - 1];
+        return { item: makeMatchItem(corpus, start, end), score: hit.score };
+    });
+}
+
+function fuseHits(corpus, searchTerm, options, cache) {
+    const { windows, index } = getSearchIndex(corpus, searchTerm, cache);
+    const fuse = createFuse(windows, index, searchTerm, options);
+
+    // Fuse scores and picks the windows; where in a window the match sits comes
+    // from aligning the query with its text. A window may hold the passage more
+    // than once: every alignment within the threshold is a hit of its own.
+    const maxCost = Math.floor(options.threshold * searchTerm.length);
+    const hits = [];
+    for (const r of fuse.search(searchTerm)) {
+        const spans = options.mode === 'extended'
+            ? [alignExtendedQuery(searchTerm, r.item.text, options.ignoreCase)]
+            : alignQuery(searchTerm, r.item.text, options.ignoreCase, maxCost);
+        spans.forEach((span, i) => {
+            const score = i === 0 ? r.score : Math.max(r.score, span.cost / searchTerm.length);
+            hits.push({ start: r.item.start + span.start, end: r.item.start + span.end, score });
+        });
+    }
+
+    // Fallback: substring search
+    if (hits.length === 0 && options.mode === 'fuzzy') {
+        const fold = (str) => options.ignoreCase ? str.toLowerCase() : str;
+        const q = fold(searchTerm);
+        for (const w of windows) {
+            const at = fold(w.text).indexOf(q);
+            if (at !== -1) hits.push({ start: w.start + at, end: w.start + at + q.length, score: 0 });
+        }
+    }
+    return hits;
+}
+
+/**
+ * Overlapping windows report the same passage; keeps the best-scoring one
+ */
+function dedupeHits(hits) {
+    hits.sort((a, b) => a.score - b.score);
+    const accepted = [];
+    const taken = []; // Accepted spans sorted by start, never overlapping
+    for (const hit of hits) {
+        let lo = 0;
+        let hi = taken.length;
+        while (lo < hi) {
+            const mid = (lo + hi) >> 1;
+            if (taken[mid].start < hit.start) lo = mid + 1;
+            else hi = mid;
+        }
+        const before = taken[lo - 1];
+        const after = taken[lo];
+        if ((before && before.end > hit.start) || (after && after.start < hit.end)) continue;
+        taken.splice(lo, 0, hit);
+        accepted.push(hit);
+    }
+    return accepted;
+}
+
+/**
+ * Turns a query into a global RegExp for the exact, word and regex modes.
+ * Throws a SyntaxError for an invalid regular expression, and an Error for one
+ * that repeats a repeating group (see hasNestedQuantifier).
+ */
+function buildSearchPattern(searchTerm, mode, ignoreCase) {
+    const flags = ignoreCase ? 'gi' : 'g';
+    if (mode === 'regex') {
+        const pattern = new RegExp(searchTerm, flags);
+        if (hasNestedQuantifier(searchTerm)) {
+            throw new Error('nested repetition such as (a+)+ can run for too long');
+        }
+        return pattern;
+    }
+    // The corpus has single spaces only, so the query should too
+    const escaped = searchTerm.replace(/\s+/g, ' ').replace(/[.*+?^${}()|[\]\\]/g, '\\$&');
+    if (mode === 'word') return new RegExp(`(?<![\\p{L}\\p{N}_])${escaped}(?![\\p{L}\\p{N}_])`, flags + 'u');
+    return new RegExp(escaped, flags);
+}
+
+/**
+ * Whether a regex source repeats a group that itself holds a repetition, as in
+ * (a+)+ or (x\w*)*. Backtracking through those can take exponential time, and a
+ * RegExp cannot be interrupted once it runs.
+ */
+function hasNestedQuantifier(source) {
+    // Per open group: whether it holds a repetition. Index 0 is the whole pattern.
+    const groups = [false];
+    let closedRepeating = false;
+    for (let i = 0; i < source.length; i++) {
+        const ch = source[i];
+        const afterRepeatingGroup = closedRepeating;
+        closedRepeating = false;
+        if (ch === '\\') {
+            i++;
+        } else if (ch === '[') {
+            // Character class: nothing inside it groups or repeats
+            for (i++; i < source.length && source[i] !== ']'; i++) {
+                if (source[i] === '\\') i++;
+            }
+        } else if (ch === '(') {
+            groups.push(false);
+        } else if (ch === ')' && groups.length > 1) {
+            closedRepeating = groups.pop();
+            if (closedRepeating) groups[groups.length - 1] = true;
+        } else if (ch === '*' || ch === '+' || (ch === '{' && repeatsMore(source, i))) {
+            if (afterRepeatingGroup) return true;
+            groups[groups.length - 1] = true;
+        }
+    }
+    return false;
+}
+
+/**
+ * Whether the `{n,m}` quantifier at `index` allows more than one repetition
+ */
+function repeatsMore(source, index) {
+    const quantifier = /^\{(\d+)(,(\d*))?\}/.exec(source.slice(index));
+    if (!quantifier) return false;
+    const max = quantifier[2] ? quantifier[3] : quantifier[1];
+    return max === '' || Number(max) > 1;
+}
+
+/**
+ * All non-empty matches of a global RegExp in the stitched text, in document order
+ */
+function patternHits(text, pattern) {
+    const hits = [];
+    let m;
+    while (hits.length < MAX_RESULTS && (m = pattern.exec(text)) !== null) {
+        if (m[0].length === 0) {
+            pattern.lastIndex++;
+            continue;
+        }
+        hits.push({ start: m.index, end: m.index + m[0].length, score: 0 });
+    }
+    return hits;
+}
+
+/**
+ * Finds where `query` fits in `text`: a semi-global edit-distance alignment, where
+ * the whole query must be matched but the text may start and end anywhere. Returns
+ * non-overlapping spans { start, end, cost } (offsets into `text`, trimmed of
+ * surrounding whitespace), best first: always the best one, then any others with
+ * at most `maxCost` edits. Among equally good spans the one closest to the query's
+ * length wins.
+ */
+function alignQuery(query, text, ignoreCase, maxCost = 0) {
+    const m = query.length;
+    const n = text.length;
+    if (m === 0 || n === 0) return [{ start: 0, end: Math.min(m, n), cost: m }];
+    const { cost, from } = alignmentTable(query, text, ignoreCase);
+
+    const candidates = [];
+    for (let j = 1; j <= n; j++) candidates.push({ start: from[j], end: j, cost: cost[j] });
+    const lengthOff = (c) => Math.abs(c.end - c.start - m);
+    candidates.sort((a, b) => (a.cost - b.cost) || (lengthOff(a) - lengthOff(b)));
+
+    const spans = [];
+    for (const c of candidates) {
+        if (spans.length > 0 && c.cost > maxCost) break;
+        if (spans.some(span => c.start < span.end && span.start < c.end)) continue;
+        spans.push(c);
+    }
+    for (const span of spans) {
+        while (span.start < span.end - 1 && text[span.start] === ' ') span.start++;
+        while (span.end > span.start + 1 && text[span.end - 1] === ' ') span.end--;
+    }
+    return spans;
+}
+
+/**
+ * The alignment behind alignQuery: for every end offset j of `text`, cost[j] is the
+ * fewest edits turning some span ending at j into `query`, and from[j] its start
+ */
+function alignmentTable(query, text, ignoreCase) {
+    const q = ignoreCase ? query.toLowerCase() : query;
+    const t = ignoreCase ? text.toLowerCase() : text;
+    const n = t.length;
+
+    // Row 0 is free anywhere (the span can start at any j)
+    let cost = new Int32Array(n + 1);
+    let from = Int32Array.from({ length: n + 1 }, (_, j) => j);
+    let nextCost = new Int32Array(n + 1);
+    let nextFrom = new Int32Array(n + 1);
+    for (let i = 1; i <= q.length; i++) {
+        nextCost[0] = i;
+        nextFrom[0] = 0;
+        for (let j = 1; j <= n; j++) {
+            // Substitution (or match), query char skipped, text char skipped
+            let best = cost[j - 1] + (q[i - 1] === t[j - 1] ? 0 : 1);
+            let bestFrom = from[j - 1];
+            if (cost[j] + 1 < best) {
+                best = cost[j] + 1;
+                bestFrom = from[j];
+            }
+            if (nextCost[j - 1] + 1 < best) {
+                best = nextCost[j - 1] + 1;
+                bestFrom = nextFrom[j - 1];
+            }
+            nextCost[j] = best;
+            nextFrom[j] = bestFrom;
+        }
+        [cost, nextCost] = [nextCost, cost];
+        [from, nextFrom] = [nextFrom, from];
+    }
+    return { cost, from };
+}
+
+/**
+ * Where a Fuse.js extended query matched in `text`. Each `|` alternative is aligned
+ * term by term and the one needing the fewest edits per character wins; its span
+ * runs from its first to its last term. Returns { start, end, cost } like alignQuery.
+ */
+function alignExtendedQuery(query, text, ignoreCase) {
+    let best = null;
+    for (const terms of extendedQueryTerms(query)) {
+        const spans = terms.map(term => alignQuery(term, text, ignoreCase)[0]);
+        const cost = spans.reduce((sum, span) => sum + span.cost, 0);
+        const length = terms.reduce((sum, term) => sum + term.length, 0);
+        if (best && cost / length >= best.cost / best.length) continue;
+        best = {
+            start: Math.min(...spans.map(span => span.start)),
+            end: Math.max(...spans.map(span => span.end)),
+            cost,
+            length
+        };
+    }
+    if (!best) return { start: 0, end: Math.min(query.length, text.length), cost: query.length };
+    return { start: best.start, end: best.end, cost: best.cost };
+}
+
+/**
+ * The plain terms of a Fuse.js extended query, one list per `|` alternative:
+ * operators ('exact ^prefix suffix$ =whole) are dropped, as are excluded (!) terms
+ */
+function extendedQueryTerms(query) {
+    return query.split(/ +\| +/)
+        .map(alternative => alternative.split(' ')
+            .filter(term => term && term !== '|' && !term.startsWith('!'))
+            .map(term => term.replace(/^[='^]+/, '').replace(/\$$/, ''))
+            .filter(Boolean))
+        .filter(terms => terms.length > 0);
+}
+
+/**
+ * Builds a match item for the stitched range [start, end) of the corpus.
+ * Position fields mirror the first covered line; `lines` lists every line touched.
+ */
+function makeMatchItem(corpus, start, end) {
+    // Binary search for the first line ending after `start`
+    let lo = 0;
+    let hi = corpus.length;
+    while (lo < hi) {
+        const mid = (lo + hi) >> 1;
+        if (corpus[mid].start + corpus[mid].text.length <= start) lo = mid + 1;
+        else hi = mid;
+    }
+    const lines = [];
+    for (let i = lo; i < corpus.length && corpus[i].start < end; i++) lines.push(corpus[i]);
+    const first = lines[0] || corpus[0];
+    return {
+        text: lines.map(l => l.text).join(' '),
+        pageNum: first.pageNum,
+        x: first.x,
+        y: first.y,
+        width: first.width,
+        height: first.height,
+        start,
+        end,
+        lines
+    };
+}
+
+// === NORMALIZATION ===
+// Corpus and query are both folded to a common form before matching, so PDF
+// typography (ligatures, curly quotes, hyphenated line ends...) does not get in
+// the way. The corpus keeps a map back to its original characters for highlighting.
+
+const FOLDED_CHARS = {
+    '\u2018': "'", '\u2019': "'", '\u201A': "'", '\u201B': "'", '\u2032': "'", '\u00B4': "'", '`': "'",
+    '\u201C': '"', '\u201D': '"', '\u201E': '"', '\u201F': '"', '\u2033': '"', '\u00AB': '"', '\u00BB': '"',
+    '\u2010': '-', '\u2011': '-', '\u2012': '-', '\u2013': '-', '\u2014': '-', '\u2015': '-', '\u2212': '-',
+    '\u00AD': '', '\u200B': '', '\u200C': '', '\u200D': '', '\u2060': '', '\uFEFF': ''
+};
+const LINE_END_HYPHEN = /[-\u00AD\u2010]$/;
+
+/**
+ * Folds one code point: compatibility decomposition (NFKD, so "ﬁ" -> "fi"),
+ * diacritics dropped, quotes/dashes unified, any space becomes " ", invisible
+ * characters vanish. May return zero, one or several characters.
+ */
+function foldChar(ch) {
+    if (ch.charCodeAt(0) < 128 && ch !== '`') return ch;
+    if (Object.prototype.hasOwnProperty.call(FOLDED_CHARS, ch)) return FOLDED_CHARS[ch];
+    if (/\s/.test(ch)) return ' ';
+    return ch.normalize('NFKD').replace(/\p{M}/gu, '').replace(/\s/g, ' ');
+}
+
+/**
+ * Normalizes a query the same way the corpus is normalized
+ */
+function normalizeForSearch(str) {
+    let out = '';
+    for (const ch of str) {
+        for (const c of foldChar(ch)) {
+            if (c === ' ' && (out.length === 0 || out.endsWith(' '))) continue;
+            out += c;
+        }
+    }
+    return out;
+}
+
+/**
+ * Normalizes the whole corpus into one string (lines joined with a space, or with
+ * nothing where a word was hyphenated across a line end). For every normalized
+ * character, srcStart/srcEnd give the range of original stitched-text offsets it
+ * came from; lineStarts/lineEnds give each line's range in the normalized text.
+ */
+function getNormalizedCorpus(corpus, cache) {
+    if (cache.has('normalized')) return cache.get('normalized');
+
+    const chars = [];
+    const srcStart = [];
+    const srcEnd = [];
+    const lineStarts = new Array(corpus.length);
+    const lineEnds = new Array(corpus.length);
+    const push = (c, from, to) => {
+        if (c === ' ' && (chars.length === 0 || chars[chars.length - 1] === ' ')) return;
+        chars.push(c);
+        srcStart.push(from);
+        srcEnd.push(to);
+    };
+
+    corpus.forEach((line, i) => {
+        const prev = corpus[i - 1];
+        if (prev) {
+            if (isHyphenatedBreak(prev, line)) {
+                // "informa-" + "tion" -> "information": drop the hyphen and the line break
+                // (a soft hyphen already folded to nothing)
+                if (chars[chars.length - 1] === '-') {
+                    chars.pop();
+                    srcStart.pop();
+                    srcEnd.pop();
+                }
+            } else {
+                push(' ', line.start - 1, line.start);
+            }
+        }
+        lineStarts[i] = chars.length;
+        let k = 0;
+        for (const ch of line.text) {
+            for (const c of foldChar(ch)) push(c, line.start + k, line.start + k + ch.length);
+            k += ch.length;
+        }
+        lineEnds[i] = chars.length;
+    });
+
+    const norm = {
+        text: chars.join(''),
+        srcStart: Int32Array.from(srcStart),
+        srcEnd: Int32Array.from(srcEnd),
+        lineStarts,
+        lineEnds
+    };
+    cache.set('normalized', norm);
+    return norm;
+}
+
+/**
+ * A line ending in a hyphen after a letter, followed by a line starting with a
+ * lowercase letter, is a word broken across the line end. Words also break across
+ * columns and pages, but not across paragraphs within one column.
+ */
+function isHyphenatedBreak(line, next) {
+    const sameColumn = next.pageNum === line.pageNum && next.column === line.column;
+    if (next.paragraphStart && sameColumn) return false;
+    const text = line.text;
+    return LINE_END_HYPHEN.test(text) &&
+        /\p{L}/u.test(text.charAt(text.length - 2)) &&
+        /^\p{Ll}/u.test(next.text);
+}
@@ -0,0 +1,159 @@
+// === SEARCH WORKER ===
+// Builds the line corpora from pdf.js text content and answers fuzzy searches,
+// keeping the heavy lifting off the main thread. Several documents can be held
+// at once (a collection); each message names its document with `docId`.
+//
+// Messages in:  { type: 'reset', docId, numPages }
+//               { type: 'page', docId, pageNum, items, styles }
+//               { type: 'finish', id, docId, cache }   cache: { id, url, label, numPages, limitBytes } or null
+//               { type: 'restore', id, docId, cacheId }
+//               { type: 'drop', docId }                 no docId drops every document
+//               { type: 'search', id, query, options }  searches every document, tags items with docId
+//               { type: 'range', id, docId, start, end } a match item for exact text offsets (deep links)
+//               { type: 'context', id, matches, chars }  matches: [{ docId, start, end }]; replies
+//                                                       contexts: [{ match, context } or null] (exports)
+// Messages out: { type: 'progress', docId, pageNum, numPages, lines }
+//               { type: 'reply', id, ...result } or { type: 'reply', id, error }
+
+importScripts('lib/fuse.min.js', 'search-core.js', 'corpus-cache.js');
+
+// docId -> { corpus, numPages, indexCache }
+const documents = new Map();
+
+self.addEventListener('message', async (e) => {
+    const msg = e.data;
+    try {
+        switch (msg.type) {
+            case 'reset':
+                documents.set(msg.docId, createDocument(msg.numPages));
+                break;
+            case 'page': {
+                const doc = documents.get(msg.docId);
+                if (!doc) break;
+                addLinesToCorpus(doc.corpus, buildPageLines(msg, msg.pageNum));
+                // A search may have run on the partial corpus (collections search while indexing)
+                doc.indexCache.clear();
+                self.postMessage({ type: 'progress', docId: msg.docId, pageNum: msg.pageNum, numPages: doc.numPages, lines: doc.corpus.length });
+                break;
+            }
+            case 'finish': {
+                const doc = documents.get(msg.docId);
+                self.postMessage({ type: 'reply', id: msg.id, lines: doc ? doc.corpus.length : 0 });
+                if (doc && msg.cache) storeCorpus(doc.corpus, msg.cache);
+                break;
+            }
+            case 'restore':
+                self.postMessage({ type: 'reply', id: msg.id, lines: await restoreCorpus(msg.docId, msg.cacheId) });
+                break;
+            case 'drop':
+                if (msg.docId != null) documents.delete(msg.docId);
+                else documents.clear();
+                break;
+            case 'search':
+                self.postMessage({ type: 'reply', id: msg.id, results: searchDocuments(msg.query, msg.options) });
+                break;
+            case 'range':
+                self.postMessage({ type: 'reply', id: msg.id, item: rangeItem(msg.docId, msg.start, msg.end) });
+                break;
+            case 'context':
+                self.postMessage({ type: 'reply', id: msg.id, contexts: msg.matches.map(m => matchContext(m, msg.chars)) });
+                break;
+        }
+    } catch (error) {
+        console.error('Search worker failed:', error);
+        if (msg.id != null) self.postMessage({ type: 'reply', id: msg.id, error: error.message || String(error) });
+    }
+});
+
+function createDocument(numPages) {
+    return { corpus: [], numPages, indexCache: new Map() };
+}
+
+/**
+ * Searches every loaded document. Results are tagged with their document and
+ * sorted best first across the whole collection.
+ */
+function searchDocuments(query, options) {
+    const results = [];
+    for (const [docId, doc] of documents) {
+        for (const result of searchCorpus(doc.corpus, query, options, doc.indexCache)) {
+            result.item.docId = docId;
+            results.push(result);
+        }
+    }
+    return results.sort((a, b) => a.score - b.score);
+}
+
+/**
+ * The match item covering offsets start..end of a document's text, or null when out of range
+ */
+function rangeItem(docId, start, end) {
+    const doc = documents.get(docId);
+    const last = doc && doc.corpus[doc.corpus.length - 1];
+    if (!last || start < 0 || end <= start || end > last.start + last.text.length) return null;
+    return makeMatchItem(doc.corpus, start, end);
+}
+
+/**
+ * The matched text of a document and about `chars` characters around it, cut at
+ * word boundaries, or null for an unknown document
+ */
+function matchContext({ docId, start, end }, chars) {
+    const doc = documents.get(docId);
+    if (!doc || doc.corpus.length === 0) return null;
+    const corpus = doc.corpus;
+    const last = corpus[corpus.length - 1];
+    const textEnd = last.start + last.text.length;
+    const from = Math.max(start - chars, 0);
+    const to = Math.min(end + chars, textEnd);
+
+    // Lines are joined by one space in the document's text
+    const slice = (a, b) => {
+        let lo = 0;
+        let hi = corpus.length;
+        while (lo < hi) {
+            const mid = (lo + hi) >> 1;
+            if (corpus[mid].start + corpus[mid].text.length <= a) lo = mid + 1;
+            else hi = mid;
+        }
+        const parts = [];
+        for (let i = lo; i < corpus.length && corpus[i].start < b; i++) {
+            parts.push(corpus[i].text.slice(Math.max(a - corpus[i].start, 0), b - corpus[i].start));
+        }
+        return parts.join(' ');
+    };
+    let context = slice(from, to);
+    if (from > 0) context = '…' + context.replace(/^\S*\s+/, '');
+    if (to < textEnd) context = context.replace(/\s+\S*$/, '') + '…';
+    return { match: slice(start, end), context };
+}
+
+/**
+ * Loads a cached corpus as the document's text. Resolves with its line count, or null on a miss.
+ */
+async function restoreCorpus(docId, cacheId) {
+    const doc = createDocument(0);
+    documents.set(docId, doc);
+    let cached;
+    try {
+        cached = await cacheGet(cacheId);
+    } catch (error) {
+        console.warn('Corpus cache unavailable:', error);
+    }
+    // Superseded by a reset or another restore meanwhile
+    if (documents.get(docId) !== doc) return null;
+    if (!cached) {
+        documents.delete(docId);
+        return null;
+    }
+    doc.corpus = cached;
+    doc.indexCache.clear(); // Searches during the await cached the empty corpus
+    return cached.length;
+}
+
+function storeCorpus(corpus, { id, url, label, numPages, limitBytes }) {
+    // Rough size: UTF-16 of the serialized lines
+    const size = JSON.stringify(corpus).length * 2;
+    cachePut({ id, kind: 'corpus', url, label, numPages, size }, corpus, limitBytes)
+        .catch(error => console.warn('Could not cache corpus:', error));
+}